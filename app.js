@@ -4,25 +4,71 @@ const cors = require('cors');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { z } = require('zod');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const multer = require('multer');
+const sharp = require('sharp');
+const { EventEmitter } = require('events');
+const util = require('util');
 
 const app = express();
 app.use(cors({
   origin: ['https://ncart.onrender.com', 'http://localhost:3000'],
   credentials: true
 }));
-app.use(express.json());
+// Keep the raw body around: payment webhooks are signed over the exact bytes
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
-// Connect to MongoDB (Railway or local)
-mongoose.connect(process.env.MONGODB_URI, {
-    useNewUrlParser: true,
-    useUnifiedTopology: true,
-})
-.then(() => console.log('Connected to MongoDB'))
-.catch(err => console.log('MongoDB connection error:', err));
+// Connect to MongoDB (Railway or local). Skipped when tests require the app.
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+  })
+  .then(async () => {
+    console.log('Connected to MongoDB');
+    await migrateProductStock();
+    await migrateDuplicateCarts();
+    await migrateCouponRedemptionSlots();
+    await migrateLegacyAddresses();
+    await migrateLegacyBlogPosts();
+    await migrateLegacyOrderDates();
+    await migrateProductAttributes();
+    await migrateProductSkus();
+  })
+  .catch(err => console.log('MongoDB connection error:', err));
+}
+
+// Whole number from the environment, or fallback when unset. Anything else,
+// including a value outside min..max, stops the server from starting.
+const envInteger = (name, fallback, min = 0, max = Infinity) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    const range = max === Infinity ? `of at least ${min}` : `from ${min} to ${max}`;
+    throw new Error(`${name} must be a whole number ${range}`);
+  }
+  return value;
+};
 
 // JWT Secret from environment variable
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 
+// Access tokens are short-lived; refresh tokens keep the session going
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Frontend URL used in links sent by email
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
 // User schema
 const User = mongoose.model('User', {
   firstName: String,
@@ -32,470 +78,6753 @@ const User = mongoose.model('User', {
   phone: String,
   dateOfBirth: String,
   gender: String,
-  address: String,
-  city: String,
-  state: String,
-  zipCode: String,
-  country: String,
+  // Address book; exactly one entry has isDefault when the list is not empty
+  addresses: [{
+    label: String,
+    name: String,
+    phone: String,
+    line1: String,
+    line2: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String,
+    isDefault: { type: Boolean, default: false }
+  }],
   orders: { type: Number, default: 0 },
+  // Overrides of DEFAULT_NOTIFICATION_PREFERENCES, e.g. { sms: { promotions: true } }
+  notificationPreferences: { type: Object, default: {} },
   profileImage: String,
+  // Resized copies of an uploaded profile image by size name, see THUMBNAIL_SIZES
+  profileImageThumbnails: Object,
+  role: { type: String, enum: ['customer', 'staff', 'admin'], default: 'customer' },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: Date,
+  // Bumped to invalidate every access token issued before it
+  tokenVersion: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Single-use tokens sent by email (password reset, email verification).
+// Only a hash is stored; usedAt is set when the token is redeemed.
+const UserToken = mongoose.model('UserToken', {
+  userId: { type: String, index: true },
+  type: { type: String, enum: ['password_reset', 'email_verification'] },
+  tokenHash: { type: String, unique: true },
+  expiresAt: Date,
+  usedAt: Date,
   createdAt: { type: Date, default: Date.now }
 });
 
+// Refresh token schema - only a hash of the token is stored.
+// Tokens issued by rotation share a family so a reused token can revoke the whole chain.
+const RefreshToken = mongoose.model('RefreshToken', {
+  userId: { type: String, index: true },
+  tokenHash: { type: String, unique: true },
+  family: String,
+  expiresAt: Date,
+  revokedAt: Date,
+  replacedBy: String,
+  userAgent: String,
+  ip: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Role audit schema - one entry per role change
+const RoleAudit = mongoose.model('RoleAudit', {
+  userId: String,
+  email: String,
+  fromRole: String,
+  toRole: String,
+  changedBy: String,
+  reason: String,
+  changedAt: { type: Date, default: Date.now }
+});
+
 // Product schema
-const Product = mongoose.model('Product', {
-  name: String,
-  price: Number,
+// A purchasable version of a product, e.g. 8GB/128GB in black.
+// Its attributes are the ones that differ between variants.
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, required: true, trim: true },
+  attributes: { type: Object, default: {} },
+  price: { type: Number, required: true, min: 0 },
+  stock: { type: Number, default: 0, min: 0 },
+  img: String
+});
+
+const productSchema = new mongoose.Schema({
+  // Stock keeping unit, the key for catalog imports. See defaultSku.
+  sku: { type: String, trim: true },
+  name: { type: String, required: true, trim: true },
+  price: { type: Number, required: true, min: 0 },
   description: String,
-  category: String,
+  category: { type: String, required: true },
+  // Primary image, one of images when uploaded
   img: String,
-  rating: Number,
-  reviews: Number,
+  images: [{ mediaId: String, url: String, thumbnails: Object }],
+  rating: { type: Number, min: 0, max: 5 },
+  reviews: { type: Number, min: 0 },
+  // Display text such as "2-3 days"; estimates use leadTimeDays
   deliveryTime: String,
+  // Days the warehouse needs to pack and dispatch the product
+  leadTimeDays: { type: Number, default: 1, min: 0 },
+  stock: { type: Number, default: 0, min: 0 },
+  lowStockThreshold: { type: Number, default: 5, min: 0 },
+  // Specs shared by every variant, e.g. { brand: 'Dell', ram_gb: 16 }.
+  // Numbers are stored as numbers so they can be range-filtered.
+  attributes: { type: Object, default: {} },
+  // With variants, price is the lowest variant price and stock the sum of variant stock
+  variants: [variantSchema]
 });
 
-// Blog Post schema
-const BlogPost = mongoose.model('BlogPost', {
-  title: String,
+// Indexes backing search, filters and sorts on GET /api/products
+productSchema.index({ name: 'text', description: 'text' }, { weights: { name: 5, description: 1 } });
+productSchema.index({ category: 1, price: 1 });
+productSchema.index({ price: 1 });
+productSchema.index({ rating: -1 });
+productSchema.index({ reviews: -1 });
+productSchema.index({ deliveryTime: 1 });
+productSchema.index({ sku: 1 }, { unique: true, partialFilterExpression: { sku: { $exists: true } } });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } });
+
+const Product = mongoose.model('Product', productSchema);
+
+// Review schema - one review per user per product
+const reviewSchema = new mongoose.Schema({
+  productId: { type: String, required: true },
+  userId: { type: String, required: true },
+  authorName: String,
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  title: { type: String, trim: true, maxlength: 120 },
+  text: { type: String, trim: true, maxlength: 5000 },
+  helpfulCount: { type: Number, default: 0 },
+  helpfulVoters: { type: [String], select: false },
+  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+  moderatedBy: String,
+  moderationNote: String,
+  moderatedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+reviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+
+const Review = mongoose.model('Review', reviewSchema);
+
+// Category schema - Product.category holds the category slug
+const Category = mongoose.model('Category', {
+  slug: { type: String, unique: true, required: true },
+  name: { type: String, required: true },
+  description: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Stock adjustment log - every change to Product.stock or StoreStock is recorded here
+const StockAdjustment = mongoose.model('StockAdjustment', {
+  productId: { type: String, index: true },
+  // Set when the change was to a dark store's stock rather than Product.stock
+  storeId: String,
+  // Set when the change was to one variant (Product.stock moves with it)
+  variantId: String,
+  change: Number,
+  stockAfter: Number,
+  reason: String,
+  orderId: String,
+  adjustedBy: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Blog Post schema - public once published, or once a scheduled post's publishedAt has passed
+const blogPostSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  slug: { type: String, required: true, unique: true },
   excerpt: String,
   content: String,
-  author: String,
-  date: String,
+  authorId: String,
+  // Byline for posts without an author account (e.g. seeded or migrated posts)
+  authorName: String,
   category: String,
+  tags: [String],
   image: String,
+  imageThumbnails: Object,
+  // Products featured in the post
+  productIds: { type: [String], index: true },
+  status: { type: String, enum: ['draft', 'published', 'scheduled'], default: 'draft' },
+  publishedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+blogPostSchema.index({ title: 'text', excerpt: 'text', content: 'text' }, { weights: { title: 5, excerpt: 2, content: 1 } });
+blogPostSchema.index({ status: 1, publishedAt: -1 });
+blogPostSchema.index({ category: 1, publishedAt: -1 });
+blogPostSchema.index({ tags: 1 });
+
+const BlogPost = mongoose.model('BlogPost', blogPostSchema);
+
+// Clicks from a blog post through to a product, for content attribution
+const BlogClick = mongoose.model('BlogClick', {
+  postId: { type: String, index: true },
+  productId: String,
+  userId: String,
+  createdAt: { type: Date, default: Date.now }
 });
 
+// Uploaded image and its resized copies, kept in the configured media store.
+// Owned by the product, blog post or user it was uploaded for.
+const mediaSchema = new mongoose.Schema({
+  driver: { type: String, required: true },
+  key: { type: String, required: true },
+  url: { type: String, required: true },
+  contentType: String,
+  size: Number,
+  width: Number,
+  height: Number,
+  thumbnails: [{ name: String, key: String, url: String, width: Number, height: Number }],
+  ownerType: { type: String, enum: ['product', 'blog', 'user'], required: true },
+  ownerId: { type: String, required: true },
+  uploadedBy: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+mediaSchema.index({ ownerType: 1, ownerId: 1 });
+
+const Media = mongoose.model('Media', mediaSchema);
+
 // Order schema
 const Order = mongoose.model('Order', {
   userId: String,
   id: String,
-  date: String,
-  items: Array,
+  // ISO timestamp, so date ranges can compare strings
+  date: { type: String, index: true },
+  // Price snapshot taken when the order was placed
+  items: [{
+    productId: String,
+    name: String,
+    img: String,
+    price: Number,
+    quantity: Number,
+    lineTotal: Number,
+    deliveryTime: String,
+    leadTimeDays: Number,
+    category: String,
+    variantId: String,
+    sku: String,
+    // Attributes of the variant ordered, e.g. { storage_gb: 512 }
+    attributes: Object,
+    // Blog post the customer came from, see BlogClick
+    blogPostId: String
+  }],
+  subtotal: Number,
+  deliveryFee: Number,
+  discount: { type: Number, default: 0 },
+  coupon: {
+    couponId: String,
+    code: String
+  },
   total: Number,
   status: String,
+  // Every status change, oldest first. tracking is derived from it.
+  statusHistory: [{
+    status: String,
+    at: { type: Date, default: Date.now },
+    actor: String,
+    actorRole: String,
+    note: String
+  }],
   tracking: Object,
   paymentMethod: String,
+  // Online orders still in 'Pending payment' after this are cancelled, see expireUnpaidOrders
+  pendingUntil: Date,
+  // One-line copy of shippingAddress, kept for older clients
   address: String,
+  // Snapshot of the address book entry the order ships to
+  shippingAddress: {
+    label: String,
+    name: String,
+    phone: String,
+    line1: String,
+    line2: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String
+  },
+  stockReserved: { type: Boolean, default: false },
+  // Dark store the 7m items were taken from, if the order has any
+  storeId: String,
+  // Promised delivery, see estimateDelivery. slot is set when the customer booked one.
+  delivery: {
+    express: { minutes: Number, by: Date },
+    standard: { zone: String, dispatchDate: String, earliestDate: String, latestDate: String },
+    slot: { date: String, window: String },
+    slotBooked: { type: Boolean, default: false }
+  },
   cancellationReason: {
     reason: String,
     comment: String,
     cancelledAt: Date
-  }
+  },
+  // Money given back on this order, full or partial
+  refunds: [{
+    amount: Number,
+    reason: String,
+    returnId: String,
+    method: String,
+    providerRefundId: String,
+    status: { type: String, enum: ['pending', 'processed', 'failed'] },
+    issuedBy: String,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  refundedTotal: { type: Number, default: 0 }
+});
+
+// Coupon schema - codes are stored upper case
+const Coupon = mongoose.model('Coupon', {
+  code: { type: String, unique: true, uppercase: true, trim: true },
+  description: String,
+  type: { type: String, enum: ['percentage', 'flat'] },
+  value: Number,
+  // Cap for percentage discounts
+  maxDiscount: Number,
+  minOrderValue: { type: Number, default: 0 },
+  // Empty means unlimited
+  usageLimit: Number,
+  perUserLimit: Number,
+  usedCount: { type: Number, default: 0 },
+  startsAt: Date,
+  expiresAt: Date,
+  // When set, only matching items are discounted
+  categories: [String],
+  productIds: [String],
+  active: { type: Boolean, default: true },
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// One entry per order that used a coupon. voidedAt is set when the order is cancelled.
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: { type: String, index: true },
+  code: String,
+  userId: { type: String, index: true },
+  orderId: String,
+  discount: Number,
+  // Which of the user's perUserLimit uses this is (1, 2, ...). Unique while the
+  // redemption stands, so parallel checkouts cannot take the same use.
+  slot: Number,
+  voidedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+couponRedemptionSchema.index({ couponId: 1, userId: 1, slot: 1 }, { unique: true, partialFilterExpression: { slot: { $exists: true } } });
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+// Return request schema - a customer asks to send back some delivered items
+const ReturnRequest = mongoose.model('ReturnRequest', {
+  orderId: { type: String, index: true },
+  userId: { type: String, index: true },
+  items: [{
+    productId: String,
+    variantId: String,
+    name: String,
+    price: Number,
+    quantity: Number
+  }],
+  reason: String,
+  comment: String,
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'pickup_scheduled', 'received', 'refunded'],
+    default: 'requested'
+  },
+  pickup: {
+    scheduledFor: Date,
+    note: String
+  },
+  history: [{
+    status: String,
+    at: { type: Date, default: Date.now },
+    actor: String,
+    note: String
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Payment schema - one document per payment attempt on an order
+// refunded / needs_refund: money taken for an order that was no longer
+// awaiting payment, given back (or to be given back by hand)
+const PAYMENT_STATUSES = ['created', 'succeeded', 'failed', 'refunded', 'needs_refund'];
+
+const Payment = mongoose.model('Payment', {
+  orderId: { type: String, index: true },
+  userId: String,
+  provider: String,
+  providerPaymentId: { type: String, index: true },
+  // Provider id of the successful charge, needed for refunds
+  providerChargeId: String,
+  amount: Number,
+  currency: { type: String, default: 'INR' },
+  status: { type: String, enum: PAYMENT_STATUSES, default: 'created' },
+  failureReason: String,
+  providerRefundId: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Webhook events already handled, so provider retries are processed once
+const WebhookEvent = mongoose.model('WebhookEvent', {
+  provider: String,
+  eventId: { type: String, unique: true },
+  type: String,
+  receivedAt: { type: Date, default: Date.now }
+});
+
+// Cart schema - owned by a user, or by an anonymous guest cart id
+const Cart = mongoose.model('Cart', {
+  // One cart per user; guest carts have no userId
+  userId: { type: String, unique: true, sparse: true },
+  guestId: { type: String, index: true },
+  items: [{
+    productId: String,
+    variantId: String,
+    quantity: Number,
+    // Blog post the item was added from, carried into the order
+    blogPostId: String,
+    addedAt: { type: Date, default: Date.now }
+  }],
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// In-app notification schema - the user's inbox
+const Notification = mongoose.model('Notification', {
+  userId: { type: String, index: true },
+  type: String,
+  title: String,
+  body: String,
+  link: String,
+  readAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Wishlist schema - one per user
+const Wishlist = mongoose.model('Wishlist', {
+  userId: { type: String, unique: true },
+  items: [{
+    productId: String,
+    // Variant and quantity of a line saved for later from the cart, so it goes back as it was
+    variantId: String,
+    quantity: Number,
+    priceWhenAdded: Number,
+    // Price the user last heard about: when added, or in the last price-drop email
+    lastSeenPrice: Number,
+    addedAt: { type: Date, default: Date.now }
+  }],
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Dark store schema - a store delivers 7m items to the pincodes it covers
+const Store = mongoose.model('Store', {
+  code: { type: String, unique: true, required: true },
+  name: { type: String, required: true },
+  pincodes: { type: [String], index: true },
+  deliveryMinutes: { type: Number, default: 7 },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Units of a 7m product held at a dark store
+const storeStockSchema = new mongoose.Schema({
+  storeId: { type: String, required: true },
+  productId: { type: String, required: true, index: true },
+  quantity: { type: Number, default: 0, min: 0 },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+storeStockSchema.index({ storeId: 1, productId: 1 }, { unique: true });
+
+const StoreStock = mongoose.model('StoreStock', storeStockSchema);
+
+// Delivery slot schema - one document per day and time window, created on first booking
+const deliverySlotSchema = new mongoose.Schema({
+  date: { type: String, required: true },
+  window: { type: String, required: true },
+  capacity: { type: Number, required: true, min: 0 },
+  booked: { type: Number, default: 0, min: 0 }
 });
 
+deliverySlotSchema.index({ date: 1, window: 1 }, { unique: true });
+
+const DeliverySlot = mongoose.model('DeliverySlot', deliverySlotSchema);
+
+// ========== ERRORS & VALIDATION ==========
+// Every error response has the same shape:
+//   { error: 'Readable message', code: 'MACHINE_CODE', details: [{ location, field, message }] }
+// details is only present for validation errors. See README "Error responses".
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  500: 'INTERNAL_ERROR'
+};
+
+// Send an error response. extra may set a specific code and any extra fields.
+const sendError = (res, status, message, extra = {}) => {
+  const { code = ERROR_CODES[status] || 'ERROR', ...rest } = extra;
+  return res.status(status).json({ error: message, code, ...rest });
+};
+
+// Send an error returned by a helper as { status, error, code?, ...extra }
+const sendResultError = (res, { status, error, ...extra }) => sendError(res, status, error, extra);
+
+// Validate and normalise req.params, req.query and req.body against zod schemas.
+// Parsed values replace the originals, so unknown body fields are dropped
+// and query strings are coerced to the declared types.
+const validate = (schemas) => (req, res, next) => {
+  const details = [];
+  for (const location of ['params', 'query', 'body']) {
+    if (!schemas[location]) continue;
+
+    const result = schemas[location].safeParse(req[location] || {});
+    if (result.success) {
+      req[location] = result.data;
+    } else {
+      for (const issue of result.error.issues) {
+        details.push({ location, field: issue.path.join('.'), message: issue.message });
+      }
+    }
+  }
+
+  if (details.length > 0) {
+    return sendError(res, 400, 'Request validation failed', { code: 'VALIDATION_ERROR', details });
+  }
+  next();
+};
+
+// Shared schema pieces
+const objectId = z.string().regex(/^[a-f\d]{24}$/i, 'Must be a valid id');
+const idParams = z.object({ id: objectId });
+const text = (max = 200) => z.string().trim().max(max);
+const requiredText = (max = 200) => text(max).min(1, 'Required');
+const password = z.string().min(8, 'Password must be at least 8 characters').max(128);
+const positiveInt = z.number().int().positive();
+const pincode = z.string().trim().regex(/^\d{6}$/, 'Pincode must be 6 digits');
+const pageQuery = {
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20)
+};
+
+// Keep only the keys that were actually sent, so updates never write undefined
+const definedFields = (data) => {
+  return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+};
+
 // Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
+// Tokens issued before the user's last logout-all or password change are rejected.
+// The req.user for an access token, or null if it is invalid, expired or revoked
+const verifyAccessToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+
+  const user = await User.findById(payload.userId).select('role tokenVersion');
+  if (!user || (user.tokenVersion || 0) !== payload.tokenVersion) {
+    return null;
+  }
+
+  // Use the current role so role changes apply without a new login
+  return { ...payload, role: user.role };
+};
+
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
   if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+    return sendError(res, 401, 'Access token required', { code: 'TOKEN_REQUIRED' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  try {
+    const user = await verifyAccessToken(token);
+    if (!user) {
+      return sendError(res, 403, 'Invalid or expired token', { code: 'INVALID_TOKEN' });
     }
     req.user = user;
     next();
-  });
+  } catch (err) {
+    next(err);
+  }
 };
 
-// ========== AUTH ROUTES ==========
-// Register new user
-app.post('/api/register', async (req, res) => {
-  try {
-    const { firstName, lastName, email, password, phone, dateOfBirth, gender, address, city, state, zipCode, country } = req.body;
+// Middleware that attaches the user when a valid token is sent, but lets
+// guests through. An expired or revoked token is treated as no token, so a
+// lapsed session can still use its guest cart.
+const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ error: 'User already exists with this email' });
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const user = await verifyAccessToken(token);
+    if (user) {
+      req.user = user;
     }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
+// Middleware to restrict a route to the given roles (use after authenticateToken)
+const authorizeRoles = (...roles) => (req, res, next) => {
+  const role = req.user && req.user.role;
+  if (!role || !roles.includes(role)) {
+    return sendError(res, 403, 'You do not have permission to perform this action');
+  }
+  next();
+};
 
-    // Create new user
-    const user = new User({
-      firstName,
-      lastName,
-      email,
-      password: hashedPassword,
-      phone,
-      dateOfBirth,
-      gender,
-      address,
-      city,
-      state,
-      zipCode,
-      country
+// Generate JWT access token for a user
+const generateToken = (user) => {
+  return jwt.sign(
+    { userId: user._id, email: user.email, role: user.role, tokenVersion: user.tokenVersion || 0 },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create and store a refresh token, returning the raw token for the client
+const generateRefreshToken = async (user, req, family = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.headers['user-agent'],
+    ip: req.ip
+  });
+  return refreshToken;
+};
+
+// Start a new session: access token plus refresh token
+const issueSession = async (user, req) => ({
+  token: generateToken(user),
+  refreshToken: await generateRefreshToken(user, req)
+});
+
+// End every session of a user: old access tokens fail the version check
+// and all refresh tokens are revoked
+const revokeAllSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+// ========== MAILER ==========
+// Pick a transport with MAIL_TRANSPORT:
+//   smtp    - send through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+//   file    - write each message as JSON into MAIL_DIR (default ./mail-outbox)
+//   console - log messages (development default). Bodies hold live reset and
+//             verification links, so they are only printed outside production.
+// Production has no default: MAIL_TRANSPORT must be set.
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const MAIL_FROM = process.env.MAIL_FROM || 'Ncart <no-reply@ncart.local>';
+
+const mailTransports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
     });
+    return (message) => transporter.sendMail(message);
+  },
+  file: () => {
+    const dir = process.env.MAIL_DIR || path.join(__dirname, 'mail-outbox');
+    return async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomUUID()}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    };
+  },
+  console: () => {
+    if (IS_PRODUCTION) {
+      console.warn('WARNING: MAIL_TRANSPORT=console in production, emails are NOT delivered to anyone');
+    }
+    return async (message) => {
+      const body = IS_PRODUCTION ? '' : `\n${message.text}`;
+      console.log(`[mail] to=${message.to} subject="${message.subject}"${body}`);
+    };
+  }
+};
 
-    await user.save();
+const createMailer = (transportName = process.env.MAIL_TRANSPORT || (IS_PRODUCTION ? undefined : 'console')) => {
+  if (!transportName) {
+    throw new Error('MAIL_TRANSPORT must be set in production (smtp or file)');
+  }
+  const transport = mailTransports[transportName];
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${transportName}`);
+  }
+  const send = transport();
+  return {
+    send: ({ to, subject, text, html }) => send({ from: MAIL_FROM, to, subject, text, html })
+  };
+};
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user._id, email: user.email }, JWT_SECRET, { expiresIn: '24h' });
+const mailer = createMailer();
 
-    res.status(201).json({
-      message: 'User created successfully',
-      token,
-      user: {
-        id: user._id,
-        name: `${firstName} ${lastName}`,
-        email: user.email,
-        phone: user.phone,
-        dateOfBirth: user.dateOfBirth,
-        gender: user.gender,
-        address: user.address,
-        orders: user.orders,
-        profileImage: user.profileImage
+// Issue a single-use email token, replacing any unused token of the same type
+const createUserToken = async (userId, type, ttlMinutes) => {
+  await UserToken.deleteMany({ userId, type, usedAt: null });
+  const token = crypto.randomBytes(32).toString('hex');
+  await UserToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+  return token;
+};
+
+// Redeem a token once. Returns the token document, or null if invalid, used or expired.
+const consumeUserToken = (token, type) => {
+  return UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(String(token)), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_MINUTES = 24 * 60;
+
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(user._id, 'email_verification', EMAIL_VERIFICATION_TTL_MINUTES);
+  const link = `${APP_URL}/verify-email?token=${token}`;
+  await mailer.send({
+    to: user.email,
+    subject: 'Verify your Ncart email',
+    text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`
+  });
+};
+
+// ========== NOTIFICATIONS ==========
+// Parts of the app emit events on this bus; notifications subscribe to it.
+// Events carry the userId they are about:
+//   user.registered        { userId, user }
+//   user.password_changed  { userId }
+//   order.created          { userId, order }
+//   order.status_changed   { userId, order, from }
+//   order.cancelled        { userId, order }
+//   wishlist.price_drop    { userId, product, previousPrice }
+const events = new EventEmitter();
+
+// Messages for each event. category is what users switch on and off per channel.
+// render returns { title, body, link? }; sms defaults to the title.
+const NOTIFICATION_TEMPLATES = {
+  'user.registered': {
+    category: 'account',
+    render: ({ user }) => ({
+      title: 'Welcome to Ncart',
+      body: `Hi ${user.firstName}, your Ncart account is ready. Happy shopping!`,
+      link: '/'
+    })
+  },
+  'user.password_changed': {
+    category: 'account',
+    render: () => ({
+      title: 'Your Ncart password was changed',
+      body: 'Your password was just changed and other devices were signed out. If this was not you, reset your password now.',
+      link: '/forgot-password'
+    })
+  },
+  'order.created': {
+    category: 'orders',
+    render: ({ order }) => ({
+      title: `Order ${order.id} placed`,
+      body: `We have received your order of ${order.items.length} item(s) for ₹${order.total}.`,
+      link: `/orders/${order.id}`
+    })
+  },
+  'order.status_changed': {
+    category: 'orders',
+    render: ({ order }) => ({
+      title: `Order ${order.id}: ${order.status}`,
+      body: `Your order ${order.id} is now ${order.status}.`,
+      link: `/orders/${order.id}`
+    })
+  },
+  'order.cancelled': {
+    category: 'orders',
+    render: ({ order }) => ({
+      title: `Order ${order.id} cancelled`,
+      body: `Your order ${order.id} has been cancelled.`,
+      link: `/orders/${order.id}`
+    })
+  },
+  'wishlist.price_drop': {
+    category: 'promotions',
+    render: ({ product, previousPrice }) => ({
+      title: `Price drop: ${product.name}`,
+      body: `${product.name} from your wishlist is now ₹${product.price} (was ₹${previousPrice}).`,
+      link: `/products/${product.id}`
+    })
+  }
+};
+
+const NOTIFICATION_CATEGORIES = ['orders', 'account', 'promotions'];
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+  inApp: { orders: true, account: true, promotions: true },
+  email: { orders: true, account: true, promotions: true },
+  sms: { orders: true, account: true, promotions: false }
+};
+
+// A user's preferences with the defaults filled in
+const notificationPreferences = (user) => {
+  const overrides = user.notificationPreferences || {};
+  return Object.fromEntries(Object.entries(DEFAULT_NOTIFICATION_PREFERENCES).map(([channel, defaults]) => [
+    channel,
+    { ...defaults, ...overrides[channel] }
+  ]));
+};
+
+// Pick an SMS transport with SMS_TRANSPORT:
+//   file    - write each message as JSON into SMS_DIR (default ./sms-outbox)
+//   console - log messages (default)
+const smsTransports = {
+  file: () => {
+    const dir = process.env.SMS_DIR || path.join(__dirname, 'sms-outbox');
+    return async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomUUID()}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    };
+  },
+  console: () => async (message) => {
+    console.log(`[sms] to=${message.to}\n${message.text}`);
+  }
+};
+
+const createSmsSender = (transportName = process.env.SMS_TRANSPORT || 'console') => {
+  const transport = smsTransports[transportName];
+  if (!transport) {
+    throw new Error(`Unknown SMS_TRANSPORT: ${transportName}`);
+  }
+  return { send: transport() };
+};
+
+const smsSender = createSmsSender();
+
+// Delivery channels: send(user, message, type)
+const notificationChannels = {
+  inApp: {
+    send: (user, message, type) => Notification.create({ userId: user.id, type, ...message })
+  },
+  email: {
+    send: (user, message) => mailer.send({
+      to: user.email,
+      subject: message.title,
+      text: `Hi ${user.firstName},\n\n${message.body}${message.link ? `\n\n${APP_URL}${message.link}` : ''}`
+    })
+  },
+  sms: {
+    send: async (user, message) => {
+      if (!user.phone) return;
+      await smsSender.send({ to: user.phone, text: message.sms || message.title });
+    }
+  }
+};
+
+// Send an event's message on every channel the user allows.
+// One failing channel does not stop the others.
+const notify = async (type, payload) => {
+  const template = NOTIFICATION_TEMPLATES[type];
+  const user = await User.findById(payload.userId);
+  if (!template || !user) return;
+
+  const message = template.render(payload, user);
+  const preferences = notificationPreferences(user);
+  for (const [channel, { send }] of Object.entries(notificationChannels)) {
+    if (!preferences[channel][template.category]) continue;
+    try {
+      await send(user, message, type);
+    } catch (err) {
+      console.log(`Notification error (${channel}, ${type}):`, err);
+    }
+  }
+};
+
+for (const type of Object.keys(NOTIFICATION_TEMPLATES)) {
+  events.on(type, (payload) => {
+    notify(type, payload).catch(err => console.log(`Notification error (${type}):`, err));
+  });
+}
+
+// Fire an event. Subscribers run in the background and never fail the caller.
+const emitEvent = (type, payload) => {
+  events.emit(type, payload);
+};
+
+// GET in-app notifications, newest first
+app.get('/api/notifications', authenticateToken, validate({ query: z.object({ unread: z.enum(['true', 'false']).optional(), ...pageQuery }) }), async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const filter = { userId: req.user.userId };
+    if (req.query.unread === 'true') {
+      filter.readAt = null;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ userId: req.user.userId, readAt: null })
+    ]);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
       }
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// Login user
-app.post('/api/login', async (req, res) => {
+// Mark one notification as read
+app.put('/api/notifications/:id/read', authenticateToken, validate({ params: idParams }), async (req, res, next) => {
   try {
-    const { email, password } = req.body;
+    const notification = await Notification.findOne({ _id: req.params.id, userId: req.user.userId });
+    if (!notification) {
+      return sendError(res, 404, 'Notification not found');
+    }
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    res.json(notification);
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // Find user
-    const user = await User.findOne({ email });
+// Mark every notification as read
+app.put('/api/notifications/read-all', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany({ userId: req.user.userId, readAt: null }, { readAt: new Date() });
+    res.json({ updated: result.modifiedCount });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET notification preferences: channel -> category -> on/off
+app.get('/api/notifications/preferences', authenticateToken, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('notificationPreferences');
     if (!user) {
-      return res.status(400).json({ error: 'Invalid email or password' });
+      return sendError(res, 404, 'User not found');
     }
+    res.json(notificationPreferences(user));
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // Check password
-    const validPassword = await bcrypt.compare(password, user.password);
-    if (!validPassword) {
-      return res.status(400).json({ error: 'Invalid email or password' });
+// Update notification preferences. Only the switches sent are changed,
+// e.g. { sms: { promotions: true }, email: { orders: false } }
+const channelPreferences = z.object(
+  Object.fromEntries(NOTIFICATION_CATEGORIES.map(category => [category, z.boolean().optional()]))
+).strict().optional();
+
+const preferencesSchema = z.object(
+  Object.fromEntries(Object.keys(DEFAULT_NOTIFICATION_PREFERENCES).map(channel => [channel, channelPreferences]))
+).strict();
+
+app.put('/api/notifications/preferences', authenticateToken, validate({ body: preferencesSchema }), async (req, res, next) => {
+  try {
+    const update = {};
+    for (const [channel, categories] of Object.entries(definedFields(req.body))) {
+      for (const [category, enabled] of Object.entries(definedFields(categories))) {
+        update[`notificationPreferences.${channel}.${category}`] = enabled;
+      }
     }
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user._id, email: user.email }, JWT_SECRET, { expiresIn: '24h' });
+    const user = await User.findByIdAndUpdate(req.user.userId, { $set: update }, { new: true }).select('notificationPreferences');
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+    res.json(notificationPreferences(user));
+  } catch (err) {
+    next(err);
+  }
+});
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        name: `${user.firstName} ${user.lastName}`,
-        email: user.email,
-        phone: user.phone,
+// ========== MEDIA ==========
+// Pick a media store with MEDIA_DRIVER:
+//   cloudinary - upload to Cloudinary (CLOUDINARY_CLOUD_NAME/CLOUDINARY_API_KEY/CLOUDINARY_API_SECRET)
+//   local      - write files into MEDIA_DIR (default ./uploads), served under /media (default)
+// A store has put(key, buffer, contentType) returning the public URL, and remove(key).
+const mediaDrivers = {
+  cloudinary: () => {
+    const { CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET } = process.env;
+    if (!CLOUDINARY_CLOUD_NAME || !CLOUDINARY_API_KEY || !CLOUDINARY_API_SECRET) {
+      throw new Error('MEDIA_DRIVER=cloudinary needs CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET');
+    }
+
+    // Signed upload API call, see https://cloudinary.com/documentation/authentication_signatures
+    const call = async (action, params, file) => {
+      const signed = { ...params, timestamp: Math.floor(Date.now() / 1000) };
+      const toSign = Object.keys(signed).sort().map(name => `${name}=${signed[name]}`).join('&');
+      const form = new FormData();
+      for (const [name, value] of Object.entries(signed)) {
+        form.append(name, String(value));
+      }
+      form.append('api_key', CLOUDINARY_API_KEY);
+      form.append('signature', crypto.createHash('sha1').update(toSign + CLOUDINARY_API_SECRET).digest('hex'));
+      if (file) {
+        form.append('file', new Blob([file.buffer], { type: file.contentType }));
+      }
+
+      const response = await fetch(`https://api.cloudinary.com/v1_1/${CLOUDINARY_CLOUD_NAME}/image/${action}`, { method: 'POST', body: form });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(`Cloudinary ${action} failed: ${result.error ? result.error.message : response.status}`);
+      }
+      return result;
+    };
+    // Cloudinary adds the extension itself
+    const publicId = (key) => key.replace(/\.[a-z0-9]+$/, '');
+
+    return {
+      put: async (key, buffer, contentType) => (await call('upload', { public_id: publicId(key) }, { buffer, contentType })).secure_url,
+      remove: async (key) => {
+        await call('destroy', { public_id: publicId(key), invalidate: true });
+      }
+    };
+  },
+  local: () => {
+    const dir = process.env.MEDIA_DIR || path.join(__dirname, 'uploads');
+    const baseUrl = process.env.MEDIA_BASE_URL || '/media';
+    return {
+      dir,
+      put: async (key, buffer) => {
+        const file = path.join(dir, key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, buffer);
+        return `${baseUrl}/${key}`;
+      },
+      remove: (key) => fs.promises.rm(path.join(dir, key), { force: true })
+    };
+  }
+};
+
+const createMediaStore = (driverName = process.env.MEDIA_DRIVER || 'local') => {
+  const driver = mediaDrivers[driverName];
+  if (!driver) {
+    throw new Error(`Unknown MEDIA_DRIVER: ${driverName}`);
+  }
+  return { driver: driverName, ...driver() };
+};
+
+const mediaStore = createMediaStore();
+
+if (mediaStore.dir) {
+  app.use('/media', express.static(mediaStore.dir, { maxAge: '7d', immutable: true }));
+}
+
+// Accepted image formats (as reported by the decoder) and their upload MIME types
+const IMAGE_FORMATS = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif'
+};
+const MEDIA_MAX_BYTES = (Number(process.env.MEDIA_MAX_MB) || 5) * 1024 * 1024;
+const MEDIA_MAX_FILES = 10;
+// Longest side in pixels of the resized copies made for every upload
+const THUMBNAIL_SIZES = { small: 200, medium: 600 };
+// Uploads younger than this may not be attached to their owner yet
+const MEDIA_ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MEDIA_MAX_BYTES, files: MEDIA_MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (Object.values(IMAGE_FORMATS).includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(Object.assign(new Error(`${file.originalname}: only JPEG, PNG, WebP and AVIF images are accepted`), { code: 'UNSUPPORTED_MEDIA_TYPE' }));
+  }
+});
+
+// Respond to a failed multipart upload. Returns false for errors that are not about the upload.
+const sendUploadError = (res, err, maxBytes) => {
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    sendError(res, 413, `Files must be at most ${maxBytes / (1024 * 1024)} MB`, { code: 'FILE_TOO_LARGE' });
+  } else if (err.code === 'UNSUPPORTED_MEDIA_TYPE') {
+    sendError(res, 415, err.message, { code: 'UNSUPPORTED_MEDIA_TYPE' });
+  } else if (err instanceof multer.MulterError) {
+    sendError(res, 400, `${err.message}${err.field ? `: ${err.field}` : ''}`, { code: 'INVALID_UPLOAD' });
+  } else {
+    return false;
+  }
+  return true;
+};
+
+// Parse a multipart upload of up to maxCount images in the given field into req.files
+const receiveImages = (field, maxCount = 1) => (req, res, next) => {
+  imageUpload.array(field, maxCount)(req, res, (err) => {
+    if (err) {
+      return sendUploadError(res, err, MEDIA_MAX_BYTES) || next(err);
+    }
+    if (!req.files || req.files.length === 0) {
+      return sendError(res, 400, `Attach ${maxCount > 1 ? 'images' : 'an image'} as multipart field "${field}"`, { code: 'INVALID_UPLOAD' });
+    }
+    next();
+  });
+};
+
+// Decode uploaded files and render the stored copies: the original (auto-rotated,
+// metadata such as GPS stripped) and a WebP per THUMBNAIL_SIZES. The declared
+// MIME type is not trusted, the content has to decode as an accepted format.
+// Returns { images } or { status, code, error } when a file is not a usable image.
+const processImages = async (files) => {
+  const images = [];
+  for (const file of files) {
+    let original;
+    try {
+      original = await sharp(file.buffer).rotate().toBuffer({ resolveWithObject: true });
+    } catch (decodeErr) {
+      return { status: 400, code: 'INVALID_IMAGE', error: `${file.originalname} is not a valid image` };
+    }
+    if (!IMAGE_FORMATS[original.info.format]) {
+      return { status: 415, code: 'UNSUPPORTED_MEDIA_TYPE', error: `${file.originalname}: only JPEG, PNG, WebP and AVIF images are accepted` };
+    }
+
+    const thumbnails = [];
+    for (const [name, px] of Object.entries(THUMBNAIL_SIZES)) {
+      const resized = await sharp(original.data)
+        .resize({ width: px, height: px, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+      thumbnails.push({ name, ...resized });
+    }
+    images.push({ original, thumbnails });
+  }
+  return { images };
+};
+
+// Put processed images in the media store and record them for their owner.
+// If any write fails, the files already written are removed again.
+const storeImages = async (images, { ownerType, ownerId, uploadedBy }) => {
+  const written = [];
+  const put = async (key, buffer, contentType) => {
+    const url = await mediaStore.put(key, buffer, contentType);
+    written.push(key);
+    return url;
+  };
+
+  try {
+    const saved = [];
+    for (const { original, thumbnails } of images) {
+      const base = `${ownerType}/${ownerId}/${crypto.randomUUID()}`;
+      const contentType = IMAGE_FORMATS[original.info.format];
+      const key = `${base}.${original.info.format === 'jpeg' ? 'jpg' : original.info.format}`;
+      const media = new Media({
+        driver: mediaStore.driver,
+        key,
+        url: await put(key, original.data, contentType),
+        contentType,
+        size: original.info.size,
+        width: original.info.width,
+        height: original.info.height,
+        thumbnails: [],
+        ownerType,
+        ownerId,
+        uploadedBy
+      });
+      for (const { name, data, info } of thumbnails) {
+        const thumbnailKey = `${base}-${name}.webp`;
+        const url = await put(thumbnailKey, data, 'image/webp');
+        media.thumbnails.push({ name, key: thumbnailKey, url, width: info.width, height: info.height });
+      }
+      saved.push(media);
+    }
+    return await Media.insertMany(saved);
+  } catch (err) {
+    await Promise.allSettled(written.map(key => mediaStore.remove(key)));
+    throw err;
+  }
+};
+
+// Thumbnail URLs by size name
+const thumbnailUrls = (media) => Object.fromEntries(media.thumbnails.map(({ name, url }) => [name, url]));
+
+// Reference kept on the owner, e.g. in Product.images
+const mediaRef = (media) => ({ mediaId: media.id, url: media.url, thumbnails: thumbnailUrls(media) });
+
+// Remove media from the store and the database. Files that fail to delete are
+// logged and left behind; their records go regardless so nothing points at them.
+const deleteMedia = async (mediaList) => {
+  for (const media of mediaList) {
+    const keys = [media.key, ...media.thumbnails.map(thumbnail => thumbnail.key)];
+    // Uploads made before a driver switch live in the old store
+    const results = await Promise.allSettled(keys.map(async (key) => {
+      const store = media.driver === mediaStore.driver ? mediaStore : createMediaStore(media.driver);
+      await store.remove(key);
+    }));
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        console.log('Media delete error:', result.reason);
+      }
+    }
+  }
+  await Media.deleteMany({ _id: { $in: mediaList.map(media => media._id) } });
+};
+
+// Delete every upload of an owner, optionally keeping one
+const deleteOwnerMedia = async (ownerType, ownerId, keepMediaId) => {
+  const filter = { ownerType, ownerId: String(ownerId) };
+  if (keepMediaId) {
+    filter._id = { $ne: keepMediaId };
+  }
+  await deleteMedia(await Media.find(filter));
+};
+
+// Whether an upload is still referenced by its owner
+const mediaInUse = {
+  product: (media) => Product.exists({ _id: media.ownerId, 'images.mediaId': media.id }),
+  blog: (media) => BlogPost.exists({ _id: media.ownerId, image: media.url }),
+  user: (media) => User.exists({ _id: media.ownerId, profileImage: media.url })
+};
+
+// Upload a single image for a blog post or user and make it their image,
+// replacing (and deleting) the previous upload. setImage(media) updates the
+// owner and returns it, or null when the owner is gone.
+const replaceOwnerImage = async (req, ownerType, ownerId, setImage) => {
+  const processed = await processImages(req.files);
+  if (processed.error) {
+    return processed;
+  }
+  const [media] = await storeImages(processed.images, { ownerType, ownerId, uploadedBy: req.user.userId });
+
+  const owner = await setImage(media);
+  if (!owner) {
+    await deleteMedia([media]);
+    return { status: 404, error: ownerType === 'blog' ? 'Blog post not found' : 'User not found' };
+  }
+  await deleteOwnerMedia(ownerType, ownerId, media._id);
+  return { owner, media };
+};
+
+// ========== AUTH ROUTES ==========
+// Address book entry; register accepts one as the first address
+const addressSchema = z.object({
+  label: text(30).default('Home'),
+  name: text(100).optional(),
+  phone: text(20).optional(),
+  line1: requiredText(200),
+  line2: text(200).optional(),
+  city: requiredText(100),
+  state: requiredText(100),
+  zipCode: requiredText(12),
+  country: text(100).default('India'),
+  isDefault: z.boolean().optional()
+});
+
+// Flat address fields older clients send on register and profile update, with
+// address as the street line. They go into the default address book entry.
+const legacyAddressFields = {
+  city: text(100).optional(),
+  state: text(100).optional(),
+  zipCode: text(12).optional(),
+  country: text(100).optional()
+};
+
+// Address book fields from a legacy flat body, or null when it has none
+const legacyAddressUpdate = ({ address, city, state, zipCode, country }) => {
+  const fields = definedFields({ line1: typeof address === 'string' ? address : undefined, city, state, zipCode, country });
+  return Object.keys(fields).length > 0 ? fields : null;
+};
+
+// Optional profile fields shared by register and profile update
+const profileFields = {
+  firstName: text(50).optional(),
+  lastName: text(50).optional(),
+  phone: text(20).optional(),
+  dateOfBirth: text(20).optional(),
+  gender: text(20).optional()
+};
+
+const registerSchema = z.object({
+  ...profileFields,
+  firstName: requiredText(50),
+  lastName: requiredText(50),
+  email: z.string().trim().email(),
+  password,
+  // Optional first entry for the address book, or a legacy street line
+  address: z.union([addressSchema, text(200)]).optional(),
+  ...legacyAddressFields,
+  cartId: z.string().optional()
+});
+
+// Register new user
+app.post('/api/register', validate({ body: registerSchema }), async (req, res, next) => {
+  try {
+    const { firstName, lastName, email, password, phone, dateOfBirth, gender, address } = req.body;
+    const legacyAddress = legacyAddressUpdate(req.body);
+    const firstAddress = typeof address === 'object'
+      ? address
+      : legacyAddress && { label: 'Home', name: `${firstName} ${lastName}`, phone, country: 'India', ...legacyAddress };
+
+    // Check if user already exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return sendError(res, 409, 'User already exists with this email', { code: 'EMAIL_TAKEN' });
+    }
+
+    // Hash password
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Create new user
+    const user = new User({
+      firstName,
+      lastName,
+      email,
+      password: hashedPassword,
+      phone,
+      dateOfBirth,
+      gender,
+      addresses: firstAddress ? [{ ...firstAddress, isDefault: true }] : []
+    });
+
+    await user.save();
+
+    // Carry over anything added to the cart before signing up
+    await mergeGuestCart(user._id, req.headers['x-cart-id'] || req.body.cartId);
+    emitEvent('user.registered', { userId: user.id, user });
+
+    // A failed email must not fail the signup; the user can ask for a new link
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailErr) {
+      console.log('Verification email error:', mailErr);
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueSession(user, req);
+
+    res.status(201).json({
+      message: 'User created successfully',
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: `${firstName} ${lastName}`,
+        email: user.email,
+        phone: user.phone,
+        dateOfBirth: user.dateOfBirth,
+        gender: user.gender,
+        addresses: user.addresses,
+        orders: user.orders,
+        profileImage: user.profileImage,
+        role: user.role,
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const loginSchema = z.object({
+  email: z.string().trim().min(1, 'Required'),
+  password: z.string().min(1, 'Required'),
+  cartId: z.string().optional()
+});
+
+// Login user
+app.post('/api/login', validate({ body: loginSchema }), async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    // Find user
+    const user = await User.findOne({ email });
+    if (!user) {
+      return sendError(res, 400, 'Invalid email or password', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    // Check password
+    const validPassword = await bcrypt.compare(password, user.password);
+    if (!validPassword) {
+      return sendError(res, 400, 'Invalid email or password', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    // Carry over anything added to the cart before logging in
+    await mergeGuestCart(user._id, req.headers['x-cart-id'] || req.body.cartId);
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueSession(user, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: `${user.firstName} ${user.lastName}`,
+        email: user.email,
+        phone: user.phone,
         dateOfBirth: user.dateOfBirth,
         gender: user.gender,
-        address: user.address,
+        addresses: user.addresses,
         orders: user.orders,
-        profileImage: user.profileImage
+        profileImage: user.profileImage,
+        role: user.role,
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Exchange a refresh token for a new access token and a new refresh token
+app.post('/api/token/refresh', validate({ body: z.object({ refreshToken: z.string().min(1, 'Required') }) }), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (!stored) {
+      return sendError(res, 401, 'Invalid refresh token', { code: 'INVALID_REFRESH_TOKEN' });
+    }
+
+    // A rotated token being used again means it leaked: end that whole session chain
+    if (stored.revokedAt) {
+      await RefreshToken.updateMany({ family: stored.family, revokedAt: null }, { revokedAt: new Date() });
+      return sendError(res, 401, 'Invalid refresh token', { code: 'INVALID_REFRESH_TOKEN' });
+    }
+    if (stored.expiresAt < new Date()) {
+      return sendError(res, 401, 'Refresh token expired', { code: 'INVALID_REFRESH_TOKEN' });
+    }
+
+    const user = await User.findById(stored.userId);
+    if (!user) {
+      return sendError(res, 401, 'Invalid refresh token', { code: 'INVALID_REFRESH_TOKEN' });
+    }
+
+    // Rotate: only one request can revoke the stored token
+    const rotated = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    if (!rotated) {
+      return sendError(res, 401, 'Invalid refresh token', { code: 'INVALID_REFRESH_TOKEN' });
+    }
+    const newRefreshToken = await generateRefreshToken(user, req, stored.family);
+    await RefreshToken.updateOne({ _id: stored._id }, { replacedBy: hashToken(newRefreshToken) });
+
+    res.json({ token: generateToken(user), refreshToken: newRefreshToken });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Logout - revoke the refresh token of this device
+app.post('/api/logout', validate({ body: z.object({ refreshToken: z.string().optional() }) }), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    if (refreshToken) {
+      await RefreshToken.updateOne(
+        { tokenHash: hashToken(refreshToken), revokedAt: null },
+        { revokedAt: new Date() }
+      );
+    }
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Logout from all devices
+app.post('/api/logout-all', authenticateToken, async (req, res, next) => {
+  try {
+    await revokeAllSessions(req.user.userId);
+    res.json({ message: 'Logged out from all devices' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Request a password reset link. Always answers the same way so it
+// cannot be used to find out which emails have accounts.
+app.post('/api/password/forgot', validate({ body: z.object({ email: z.string().trim().email() }) }), async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    const user = await User.findOne({ email });
+
+    if (user) {
+      const token = await createUserToken(user._id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+      const link = `${APP_URL}/reset-password?token=${token}`;
+      // A failure must look like an unknown email, or the response tells which accounts exist
+      try {
+        await mailer.send({
+          to: user.email,
+          subject: 'Reset your Ncart password',
+          text: `Hi ${user.firstName},\n\nUse this link to choose a new password:\n${link}\n\nThe link expires in 1 hour. If you did not ask for this, you can ignore this email.`
+        });
+      } catch (mailErr) {
+        console.log('Password reset email error:', mailErr);
+      }
+    }
+
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Set a new password with a reset token
+const resetPasswordSchema = z.object({
+  token: z.string().min(1, 'Required'),
+  newPassword: password
+});
+
+app.post('/api/password/reset', validate({ body: resetPasswordSchema }), async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const userToken = await consumeUserToken(token, 'password_reset');
+    if (!userToken) {
+      return sendError(res, 400, 'Invalid or expired reset token', { code: 'INVALID_TOKEN' });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    const user = await User.findByIdAndUpdate(userToken.userId, { password: hashedPassword });
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+
+    // Whoever had the old password is signed out everywhere
+    await revokeAllSessions(user._id);
+    emitEvent('user.password_changed', { userId: user.id });
+
+    res.json({ message: 'Password has been reset, please log in' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Confirm an email address with a verification token
+app.post('/api/email/verify', validate({ body: z.object({ token: z.string().min(1, 'Required') }) }), async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    const userToken = await consumeUserToken(token, 'email_verification');
+    if (!userToken) {
+      return sendError(res, 400, 'Invalid or expired verification token', { code: 'INVALID_TOKEN' });
+    }
+
+    await User.updateOne({ _id: userToken.userId }, { emailVerified: true, emailVerifiedAt: new Date() });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Send a new verification email
+app.post('/api/email/verify/resend', authenticateToken, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+    if (user.emailVerified) {
+      return sendError(res, 400, 'Email is already verified');
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get user profile
+app.get('/api/user', authenticateToken, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('-password');
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+    res.json(user);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update user profile - only the fields sent are changed
+const updateProfileSchema = z.object({
+  ...profileFields,
+  profileImage: text(500).optional(),
+  // Legacy flat address, see legacyAddressFields
+  address: text(200).optional(),
+  ...legacyAddressFields
+});
+
+app.put('/api/user', authenticateToken, validate({ body: updateProfileSchema }), async (req, res, next) => {
+  try {
+    const { address, city, state, zipCode, country, ...fields } = definedFields(req.body);
+    const legacyAddress = legacyAddressUpdate({ address, city, state, zipCode, country });
+    const update = { $set: fields };
+    // A linked image has no thumbnails of ours
+    if (fields.profileImage !== undefined) {
+      update.$unset = { profileImageThumbnails: '' };
+    }
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user.userId,
+      update,
+      { new: true }
+    ).select('-password');
+
+    if (updatedUser && legacyAddress) {
+      const entry = updatedUser.addresses.find(saved => saved.isDefault);
+      if (entry) {
+        entry.set(legacyAddress);
+      } else {
+        updatedUser.addresses.push({
+          label: 'Home',
+          name: [updatedUser.firstName, updatedUser.lastName].filter(Boolean).join(' '),
+          phone: updatedUser.phone,
+          country: 'India',
+          ...legacyAddress,
+          isDefault: true
+        });
+      }
+      await updatedUser.save();
+    }
+
+    res.json(updatedUser);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Upload a profile image (multipart field "image"), replacing the previous upload
+app.post('/api/user/profile-image', authenticateToken, receiveImages('image'), async (req, res, next) => {
+  try {
+    const result = await replaceOwnerImage(req, 'user', req.user.userId, (media) => User.findByIdAndUpdate(
+      req.user.userId,
+      { profileImage: media.url, profileImageThumbnails: thumbnailUrls(media) },
+      { new: true }
+    ).select('-password'));
+    if (result.error) {
+      return sendResultError(res, result);
+    }
+
+    res.status(201).json(result.owner);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Remove the profile image
+app.delete('/api/user/profile-image', authenticateToken, async (req, res, next) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { $unset: { profileImage: '', profileImageThumbnails: '' } },
+      { new: true }
+    ).select('-password');
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+    await deleteOwnerMedia('user', user.id);
+
+    res.json(user);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Change password
+const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1, 'Required'),
+  newPassword: password
+});
+
+app.put('/api/user/password', authenticateToken, validate({ body: changePasswordSchema }), async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+
+    // Verify current password
+    const validPassword = await bcrypt.compare(currentPassword, user.password);
+    if (!validPassword) {
+      return sendError(res, 400, 'Current password is incorrect', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    // Hash new password
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    user.password = hashedPassword;
+    await user.save();
+
+    // Sign out every other device, and keep this one signed in
+    await revokeAllSessions(user._id);
+    emitEvent('user.password_changed', { userId: user.id });
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    const { token, refreshToken } = await issueSession(user, req);
+
+    res.json({ message: 'Password updated successfully', token, refreshToken });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ========== ADDRESS BOOK ==========
+const addressParams = z.object({ addressId: objectId });
+
+// Users created before the address book kept one flat address on the user
+// document. Move it into addresses as the default entry and drop the old fields.
+const LEGACY_ADDRESS_FIELDS = ['address', 'city', 'state', 'zipCode', 'country'];
+
+const migrateLegacyAddresses = async () => {
+  const legacyUsers = await User.collection.find({
+    $or: LEGACY_ADDRESS_FIELDS.map(field => ({ [field]: { $exists: true } }))
+  }).toArray();
+
+  for (const legacy of legacyUsers) {
+    const update = { $unset: Object.fromEntries(LEGACY_ADDRESS_FIELDS.map(field => [field, ''])) };
+    if (LEGACY_ADDRESS_FIELDS.some(field => legacy[field])) {
+      update.$push = {
+        addresses: {
+          _id: new mongoose.Types.ObjectId(),
+          label: 'Home',
+          name: [legacy.firstName, legacy.lastName].filter(Boolean).join(' '),
+          phone: legacy.phone,
+          line1: legacy.address,
+          city: legacy.city,
+          state: legacy.state,
+          zipCode: legacy.zipCode,
+          country: legacy.country,
+          isDefault: !(legacy.addresses && legacy.addresses.length > 0)
+        }
+      };
+    }
+    await User.collection.updateOne({ _id: legacy._id }, update);
+  }
+
+  if (legacyUsers.length > 0) {
+    console.log(`Migrated ${legacyUsers.length} users to the address book`);
+  }
+};
+
+// Make sure exactly one address is the default
+const ensureDefaultAddress = (user, defaultId) => {
+  if (user.addresses.length === 0) return;
+  const target = defaultId || (user.addresses.find(address => address.isDefault) || user.addresses[0])._id;
+  for (const address of user.addresses) {
+    address.isDefault = address._id.equals(target);
+  }
+};
+
+// Order snapshot of an address book entry, or null when the user has no such address
+const findShippingAddress = async (userId, addressId) => {
+  const user = await User.findOne({ _id: userId, 'addresses._id': addressId }, { 'addresses.$': 1 });
+  if (!user) return null;
+  const { label, name, phone, line1, line2, city, state, zipCode, country } = user.addresses[0];
+  return { label, name, phone, line1, line2, city, state, zipCode, country };
+};
+
+// One-line form of an address, e.g. for Order.address
+const formatAddress = (address) => {
+  return [address.line1, address.line2, address.city, address.state, address.zipCode, address.country]
+    .filter(Boolean)
+    .join(', ');
+};
+
+// GET address book
+app.get('/api/user/addresses', authenticateToken, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('addresses');
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+    res.json(user.addresses);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Add an address. The first address becomes the default.
+app.post('/api/user/addresses', authenticateToken, validate({ body: addressSchema }), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+
+    user.addresses.push(req.body);
+    const added = user.addresses[user.addresses.length - 1];
+    ensureDefaultAddress(user, req.body.isDefault ? added._id : undefined);
+    await user.save();
+
+    res.status(201).json(user.addresses);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update an address - only the fields sent are changed
+app.put('/api/user/addresses/:addressId', authenticateToken, validate({ params: addressParams, body: addressSchema.partial() }), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    const address = user && user.addresses.id(req.params.addressId);
+    if (!address) {
+      return sendError(res, 404, 'Address not found');
+    }
+
+    const { isDefault, ...fields } = definedFields(req.body);
+    address.set(fields);
+    if (isDefault) {
+      ensureDefaultAddress(user, address._id);
+    }
+    await user.save();
+
+    res.json(user.addresses);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Make an address the default
+app.put('/api/user/addresses/:addressId/default', authenticateToken, validate({ params: addressParams }), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    const address = user && user.addresses.id(req.params.addressId);
+    if (!address) {
+      return sendError(res, 404, 'Address not found');
+    }
+
+    ensureDefaultAddress(user, address._id);
+    await user.save();
+
+    res.json(user.addresses);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete an address. If it was the default, the first remaining one takes over.
+app.delete('/api/user/addresses/:addressId', authenticateToken, validate({ params: addressParams }), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    const address = user && user.addresses.id(req.params.addressId);
+    if (!address) {
+      return sendError(res, 404, 'Address not found');
+    }
+
+    address.deleteOne();
+    ensureDefaultAddress(user);
+    await user.save();
+
+    res.json(user.addresses);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ========== PRODUCT ROUTES ==========
+const PRODUCT_SORTS = {
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  rating: { rating: -1, _id: 1 },
+  reviews: { reviews: -1, _id: 1 },
+  newest: { _id: -1 }
+};
+
+// Named filters with their own routes
+const SAVED_PRODUCT_FILTERS = {
+  '7m': { $or: [{ category: '7m' }, { deliveryTime: '7m' }] }
+};
+
+// RAM and storage written into names and descriptions by the old catalog:
+// "(8GB/128GB)", "16GB/1TB | Win 11 Home", "(12/512)" and "(256 GB)"
+const parseSpecAttributes = ({ name = '', description = '' }) => {
+  const gigabytes = (amount, unit) => Number(amount) * (/^TB$/i.test(unit) ? 1024 : 1);
+  const specs = `${name} ${description}`;
+
+  const ramAndStorage = specs.match(/(\d+)\s*GB\s*\/\s*(\d+)\s*(GB|TB)/i);
+  if (ramAndStorage) {
+    return { ram_gb: Number(ramAndStorage[1]), storage_gb: gigabytes(ramAndStorage[2], ramAndStorage[3]) };
+  }
+  const bare = specs.match(/\((\d+)\s*\/\s*(\d+)\)/);
+  if (bare) {
+    return { ram_gb: Number(bare[1]), storage_gb: Number(bare[2]) };
+  }
+  const storage = specs.match(/\((\d+)\s*(GB|TB)\)/i);
+  if (storage) {
+    return { storage_gb: gigabytes(storage[1], storage[2]) };
+  }
+  return {};
+};
+
+// Give products saved before attributes existed the specs in their name and description
+const migrateProductAttributes = async () => {
+  const legacyProducts = await Product.collection.find({ attributes: { $exists: false } }).toArray();
+  for (const legacy of legacyProducts) {
+    await Product.collection.updateOne({ _id: legacy._id }, { $set: { attributes: parseSpecAttributes(legacy) } });
+  }
+
+  if (legacyProducts.length > 0) {
+    console.log(`Added attributes to ${legacyProducts.length} products`);
+  }
+};
+
+// SKU for products created without one
+const defaultSku = (productId) => `NC-${String(productId).toUpperCase()}`;
+
+const migrateProductSkus = async () => {
+  const legacyProducts = await Product.collection.find({ sku: { $exists: false } }, { projection: { _id: 1 } }).toArray();
+  for (const legacy of legacyProducts) {
+    await Product.collection.updateOne({ _id: legacy._id }, { $set: { sku: defaultSku(legacy._id) } });
+  }
+
+  if (legacyProducts.length > 0) {
+    console.log(`Added SKUs to ${legacyProducts.length} products`);
+  }
+};
+
+// Comma separated list in a query string, e.g. ?category=Mobiles,Laptops
+const csvList = z.string().transform(value => value.split(',').map(item => item.trim()).filter(Boolean));
+
+// Attribute filters: ?attr[brand]=Dell for an exact value, or
+// ?attr[ram_gb][gte]=16 for a numeric range (gt, gte, lt, lte)
+const attributeKey = z.string().regex(/^[a-z][a-z0-9_]{0,39}$/, 'Lowercase letters, digits and underscores only');
+const attributeRange = z.object({
+  gt: z.coerce.number().optional(),
+  gte: z.coerce.number().optional(),
+  lt: z.coerce.number().optional(),
+  lte: z.coerce.number().optional()
+}).strict().refine(range => Object.keys(definedFields(range)).length > 0, 'Empty range');
+
+const productListQuery = z.object({
+  q: text(200).optional(),
+  attr: z.record(attributeKey, z.union([text(100), attributeRange])).optional(),
+  category: csvList.optional(),
+  deliveryTime: csvList.optional(),
+  minPrice: z.coerce.number().min(0).optional(),
+  maxPrice: z.coerce.number().min(0).optional(),
+  minRating: z.coerce.number().min(0).max(5).optional(),
+  sort: z.enum(Object.keys(PRODUCT_SORTS)).optional(),
+  ...pageQuery
+});
+
+// Mongo condition for one attribute filter. Query strings are text, so a
+// numeric value also matches the attribute stored as a number.
+const attributeCondition = (value) => {
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(definedFields(value)).map(([op, n]) => [`$${op}`, n]));
+  }
+  return value.trim() !== '' && !isNaN(Number(value)) ? { $in: [Number(value), value] } : value;
+};
+
+// Build a product filter and sort from validated query params
+const buildProductQuery = (query, baseFilter = {}) => {
+  const conditions = [baseFilter];
+
+  if (query.q) {
+    conditions.push({ $text: { $search: query.q } });
+  }
+  if (query.category) {
+    conditions.push({ category: { $in: query.category } });
+  }
+  if (query.deliveryTime) {
+    conditions.push({ deliveryTime: { $in: query.deliveryTime } });
+  }
+  if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+    const price = {};
+    if (query.minPrice !== undefined) price.$gte = query.minPrice;
+    if (query.maxPrice !== undefined) price.$lte = query.maxPrice;
+    conditions.push({ price });
+  }
+  if (query.minRating !== undefined) {
+    conditions.push({ rating: { $gte: query.minRating } });
+  }
+  if (query.attr && Object.keys(query.attr).length > 0) {
+    const attributes = Object.entries(query.attr).map(([key, value]) => [key, attributeCondition(value)]);
+    // Each attribute is on the product or on one of its variants...
+    for (const [key, condition] of attributes) {
+      conditions.push({ $or: [{ [`attributes.${key}`]: condition }, { [`variants.attributes.${key}`]: condition }] });
+    }
+    // ...and a product with variants needs a single variant matching every
+    // filter it has an attribute for (the rest come from the product), so
+    // 16GB/256GB and 8GB/512GB do not match ram_gb >= 16 with storage_gb >= 512
+    conditions.push({
+      $or: [
+        { 'variants.0': { $exists: false } },
+        {
+          variants: {
+            $elemMatch: {
+              $and: attributes.map(([key, condition]) => ({
+                $or: [{ [`attributes.${key}`]: condition }, { [`attributes.${key}`]: { $exists: false } }]
+              }))
+            }
+          }
+        }
+      ]
+    });
+  }
+
+  // Best match first when searching, otherwise catalogue order
+  let sort = query.q ? { score: { $meta: 'textScore' }, _id: 1 } : { _id: 1 };
+  if (query.sort) {
+    sort = PRODUCT_SORTS[query.sort];
+  }
+
+  const filter = conditions.length > 1 ? { $and: conditions } : baseFilter;
+  return { filter, sort };
+};
+
+// List products matching req.query on top of an optional base filter.
+// view optionally replaces productView as the API shape of each product.
+const listProducts = (baseFilter, view) => async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const { filter, sort } = buildProductQuery(req.query, baseFilter);
+
+    const projection = req.query.q ? { score: { $meta: 'textScore' } } : {};
+    const [products, total] = await Promise.all([
+      Product.find(filter, projection).sort(sort).skip((page - 1) * limit).limit(limit),
+      Product.countDocuments(filter)
+    ]);
+
+    res.json({
+      products: products.map(view || productView),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET products with search, filters, sorting and pagination
+app.get('/api/products', validate({ query: productListQuery }), listProducts());
+
+// GET 7m products. With ?pincode= only the ones the covering dark store has
+// in stock are listed, with that store's stock; none if the pincode is not covered.
+app.get('/api/products/7m', validate({ query: productListQuery.extend({ pincode: pincode.optional() }) }), async (req, res, next) => {
+  try {
+    if (!req.query.pincode) {
+      return listProducts(SAVED_PRODUCT_FILTERS['7m'])(req, res, next);
+    }
+
+    const store = await findStoreForPincode(req.query.pincode);
+    const stocked = store ? await StoreStock.find({ storeId: store.id, quantity: { $gt: 0 } }) : [];
+    const quantities = new Map(stocked.map(storeStock => [storeStock.productId, storeStock.quantity]));
+
+    const filter = { $and: [SAVED_PRODUCT_FILTERS['7m'], { _id: { $in: [...quantities.keys()] } }] };
+    const storeView = (product) => {
+      const stock = quantities.get(product.id);
+      return {
+        ...productView(product),
+        stock,
+        stockStatus: getStockStatus({ stock, lowStockThreshold: product.lowStockThreshold })
+      };
+    };
+    return listProducts(filter, storeView)(req, res, next);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET single product
+app.get('/api/products/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return sendError(res, 404, 'Product not found');
+    }
+    res.json(productView(product));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Fields staff may set when creating or editing a product.
+// Stock goes through the stock endpoint, rating/reviews are not editable.
+const skuCode = z.string().trim().regex(/^[A-Za-z0-9._-]{1,64}$/, 'Letters, numbers, dots, dashes and underscores only');
+
+const productFields = {
+  sku: skuCode.optional(),
+  name: requiredText(200),
+  price: z.number().min(0),
+  description: text(2000).optional(),
+  category: requiredText(50),
+  img: text(500).optional(),
+  deliveryTime: text(50).optional(),
+  leadTimeDays: z.number().int().min(0).max(60).optional(),
+  lowStockThreshold: z.number().int().min(0).optional(),
+  attributes: z.record(attributeKey, z.union([z.number(), requiredText(100)])).optional()
+};
+
+// A variant's own attributes, e.g. { ram_gb: 8, storage_gb: 128, colour: 'Black' }
+const variantFields = {
+  sku: skuCode,
+  attributes: productFields.attributes,
+  price: z.number().min(0),
+  img: text(500).optional()
+};
+
+const createVariantSchema = z.object({
+  ...variantFields,
+  stock: z.number().int().min(0).default(0)
+});
+
+// With variants the product price and stock follow from them
+const createProductSchema = z.object({
+  ...productFields,
+  price: productFields.price.optional(),
+  stock: z.number().int().min(0).optional(),
+  variants: z.array(createVariantSchema).max(100).optional()
+})
+  .refine(body => body.price !== undefined || (body.variants && body.variants.length > 0), { message: 'Required', path: ['price'] })
+  .refine(body => !body.variants || new Set(body.variants.map(variant => variant.sku)).size === body.variants.length, { message: 'SKUs must be unique', path: ['variants'] });
+
+const updateProductSchema = z.object(productFields).partial()
+  .refine(fields => Object.keys(definedFields(fields)).length > 0, 'Nothing to update');
+
+// Dark stores keep one stock count per product, so 7m products cannot have variants
+const EXPRESS_VARIANTS_ERROR = { status: 400, code: 'VARIANTS_NOT_ALLOWED', error: '7m products cannot have variants' };
+
+// POST product
+app.post('/api/products', authenticateToken, authorizeRoles('staff', 'admin'), validate({ body: createProductSchema }), async (req, res, next) => {
+  try {
+    if (!(await Category.exists({ slug: req.body.category }))) {
+      return sendError(res, 400, `Unknown category: ${req.body.category}`, { code: 'UNKNOWN_CATEGORY' });
+    }
+
+    if (req.body.variants && req.body.variants.length > 0 && isExpressItem(req.body)) {
+      return sendResultError(res, EXPRESS_VARIANTS_ERROR);
+    }
+
+    const product = new Product(req.body);
+    product.sku = product.sku || defaultSku(product.id);
+    if (product.variants.length > 0) {
+      product.price = Math.min(...product.variants.map(variant => variant.price));
+      product.stock = product.variants.reduce((sum, variant) => sum + variant.stock, 0);
+    }
+    await product.save();
+    res.status(201).json(productView(product));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update product (staff and admin). Existing orders keep their price snapshot.
+const updateProduct = async (req, res, next) => {
+  try {
+    const fields = definedFields(req.body);
+    if (fields.category && !(await Category.exists({ slug: fields.category }))) {
+      return sendError(res, 400, `Unknown category: ${fields.category}`, { code: 'UNKNOWN_CATEGORY' });
+    }
+    const hasVariants = await Product.exists({ _id: req.params.id, 'variants.0': { $exists: true } });
+    if (fields.price !== undefined && hasVariants) {
+      return sendError(res, 400, 'This product is priced by its variants', { code: 'HAS_VARIANTS' });
+    }
+    if (isExpressItem(fields) && hasVariants) {
+      return sendResultError(res, EXPRESS_VARIANTS_ERROR);
+    }
+
+    const product = await Product.findByIdAndUpdate(
+      req.params.id,
+      { $set: fields },
+      { new: true, runValidators: true }
+    );
+    if (!product) {
+      return sendError(res, 404, 'Product not found');
+    }
+
+    // Price-drop alerts must not fail the update
+    if (fields.price !== undefined) {
+      try {
+        await notifyPriceDrop(product);
+      } catch (notifyErr) {
+        console.log('Price drop notification error:', notifyErr);
+      }
+    }
+
+    res.json(productView(product));
+  } catch (err) {
+    next(err);
+  }
+};
+
+const updateProductValidation = validate({ params: idParams, body: updateProductSchema });
+app.patch('/api/admin/products/:id', authenticateToken, authorizeRoles('staff', 'admin'), updateProductValidation, updateProduct);
+app.put('/api/admin/products/:id', authenticateToken, authorizeRoles('staff', 'admin'), updateProductValidation, updateProduct);
+
+// ========== PRODUCT VARIANTS ==========
+const variantParams = z.object({ id: objectId, variantId: objectId });
+
+// Reprice a product from its variants (the lowest variant price) and alert
+// wishlists when that went down. Returns the updated product.
+const repriceFromVariants = async (productId) => {
+  const product = await Product.findByIdAndUpdate(
+    productId,
+    [{ $set: { price: { $ifNull: [{ $min: '$variants.price' }, '$price'] } } }],
+    { new: true }
+  );
+  // Price-drop alerts must not fail the change
+  try {
+    await notifyPriceDrop(product);
+  } catch (notifyErr) {
+    console.log('Price drop notification error:', notifyErr);
+  }
+  return product;
+};
+
+// Add a variant (staff and admin). Its stock adds to the product's; the first
+// variant replaces the stock the product had on its own. Both are logged.
+app.post('/api/admin/products/:id/variants', authenticateToken, authorizeRoles('staff', 'admin'), validate({ params: idParams, body: createVariantSchema }), async (req, res, next) => {
+  try {
+    const variant = { ...req.body, _id: new mongoose.Types.ObjectId() };
+    const current = await Product.findById(req.params.id);
+    if (!current) {
+      return sendError(res, 404, 'Product not found');
+    }
+    if (isExpressItem(current)) {
+      return sendResultError(res, EXPRESS_VARIANTS_ERROR);
+    }
+    if (current.variants.some(existing => existing.sku === variant.sku)) {
+      return sendError(res, 409, 'This product already has a variant with this SKU', { code: 'DUPLICATE' });
+    }
+
+    // The unique index on variants.sku does not cover two entries of one product
+    const filter = { _id: req.params.id, 'variants.sku': { $ne: variant.sku } };
+    const previous =
+      (await Product.findOneAndUpdate(
+        { ...filter, 'variants.0': { $exists: false } },
+        { $push: { variants: variant }, $set: { stock: variant.stock } }
+      )) ||
+      (await Product.findOneAndUpdate(
+        { ...filter, 'variants.0': { $exists: true } },
+        { $push: { variants: variant }, $inc: { stock: variant.stock } }
+      ));
+    if (!previous) {
+      return sendError(res, 409, 'Product was updated by someone else, please retry');
+    }
+
+    const adjustedBy = req.user.userId;
+    if (previous.variants.length === 0 && previous.stock) {
+      await StockAdjustment.create({ productId: previous.id, change: -previous.stock, stockAfter: 0, reason: 'replaced by variant stock', adjustedBy });
+    }
+    if (variant.stock) {
+      await StockAdjustment.create({
+        productId: previous.id,
+        variantId: String(variant._id),
+        change: variant.stock,
+        stockAfter: variant.stock,
+        reason: 'new variant',
+        adjustedBy
+      });
+    }
+
+    res.status(201).json(productView(await repriceFromVariants(req.params.id)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update a variant (staff and admin). Stock goes through the stock endpoint.
+const updateVariantSchema = z.object(variantFields).partial()
+  .refine(fields => Object.keys(definedFields(fields)).length > 0, 'Nothing to update');
+
+app.put('/api/admin/products/:id/variants/:variantId', authenticateToken, authorizeRoles('staff', 'admin'), validate({ params: variantParams, body: updateVariantSchema }), async (req, res, next) => {
+  try {
+    const { id, variantId } = req.params;
+    const { sku } = req.body;
+    if (sku && (await Product.exists({ _id: id, variants: { $elemMatch: { sku, _id: { $ne: variantId } } } }))) {
+      return sendError(res, 409, 'This product already has a variant with this SKU', { code: 'DUPLICATE' });
+    }
+
+    const fields = Object.fromEntries(
+      Object.entries(definedFields(req.body)).map(([field, value]) => [`variants.$.${field}`, value])
+    );
+    const product = await Product.findOneAndUpdate(
+      { _id: id, 'variants._id': variantId },
+      { $set: fields },
+      { runValidators: true }
+    );
+    if (!product) {
+      return sendError(res, 404, 'Variant not found');
+    }
+
+    res.json(productView(await repriceFromVariants(req.params.id)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete a variant (staff and admin). Its stock has to be cleared first so
+// the product total stays right and no units are lost track of.
+app.delete('/api/admin/products/:id/variants/:variantId', authenticateToken, authorizeRoles('staff', 'admin'), validate({ params: variantParams }), async (req, res, next) => {
+  try {
+    const { id, variantId } = req.params;
+    const product = await Product.findOneAndUpdate(
+      { _id: id, variants: { $elemMatch: { _id: variantId, stock: 0 } } },
+      { $pull: { variants: { _id: variantId } } }
+    );
+    if (!product) {
+      const exists = await Product.exists({ _id: id, 'variants._id': variantId });
+      return exists
+        ? sendError(res, 409, 'Variant still has stock, set it to 0 first', { code: 'VARIANT_IN_STOCK' })
+        : sendError(res, 404, 'Variant not found');
+    }
+
+    res.json(productView(await repriceFromVariants(id)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ========== PRODUCT IMAGES ==========
+const productImageParams = z.object({ id: objectId, mediaId: objectId });
+
+// Upload images (multipart field "images", up to MEDIA_MAX_FILES) for a product
+// (staff and admin). The first image uploaded for a product becomes its img.
+app.post('/api/admin/products/:id/images', authenticateToken, authorizeRoles('staff', 'admin'), validate({ params: idParams }), receiveImages('images', MEDIA_MAX_FILES), async (req, res, next) => {
+  try {
+    if (!(await Product.exists({ _id: req.params.id }))) {
+      return sendError(res, 404, 'Product not found');
+    }
+    const processed = await processImages(req.files);
+    if (processed.error) {
+      return sendResultError(res, processed);
+    }
+    const saved = await storeImages(processed.images, { ownerType: 'product', ownerId: req.params.id, uploadedBy: req.user.userId });
+
+    const product = await Product.findByIdAndUpdate(
+      req.params.id,
+      { $push: { images: { $each: saved.map(mediaRef) } } },
+      { new: true }
+    );
+    if (!product) {
+      await deleteMedia(saved);
+      return sendError(res, 404, 'Product not found');
+    }
+    // Replace the bundled placeholder (or nothing) with the first upload
+    if (product.images.length === saved.length) {
+      product.img = saved[0].url;
+      await Product.updateOne({ _id: product._id }, { img: product.img });
+    }
+
+    res.status(201).json(productView(product));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Make an uploaded image the product's primary image (staff and admin)
+app.put('/api/admin/products/:id/images/:mediaId/primary', authenticateToken, authorizeRoles('staff', 'admin'), validate({ params: productImageParams }), async (req, res, next) => {
+  try {
+    const current = await Product.findOne({ _id: req.params.id, 'images.mediaId': req.params.mediaId });
+    if (!current) {
+      return sendError(res, 404, 'Image not found');
+    }
+    const image = current.images.find(entry => entry.mediaId === req.params.mediaId);
+
+    // Primary image first, the others keep their order
+    const product = await Product.findByIdAndUpdate(
+      req.params.id,
+      [{
+        $set: {
+          img: image.url,
+          images: {
+            $concatArrays: [
+              { $filter: { input: '$images', cond: { $eq: ['$$this.mediaId', image.mediaId] } } },
+              { $filter: { input: '$images', cond: { $ne: ['$$this.mediaId', image.mediaId] } } }
+            ]
+          }
+        }
+      }],
+      { new: true }
+    );
+
+    res.json(productView(product));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete an uploaded product image and its files (staff and admin).
+// If it was the primary image, the next one takes over.
+app.delete('/api/admin/products/:id/images/:mediaId', authenticateToken, authorizeRoles('staff', 'admin'), validate({ params: productImageParams }), async (req, res, next) => {
+  try {
+    const { id, mediaId } = req.params;
+    let product = await Product.findOneAndUpdate(
+      { _id: id, 'images.mediaId': mediaId },
+      { $pull: { images: { mediaId } } },
+      { new: true }
+    );
+    if (!product) {
+      return sendError(res, 404, 'Image not found');
+    }
+
+    const media = await Media.find({ _id: mediaId, ownerType: 'product', ownerId: id });
+    if (media.length > 0 && product.img === media[0].url) {
+      product = await Product.findByIdAndUpdate(
+        id,
+        product.images.length > 0 ? { img: product.images[0].url } : { $unset: { img: '' } },
+        { new: true }
+      );
+    }
+    await deleteMedia(media);
+
+    res.json(productView(product));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ========== CATEGORY ROUTES ==========
+// GET all categories with product counts
+app.get('/api/categories', async (req, res, next) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ name: 1 }),
+      Product.aggregate([{ $group: { _id: '$category', count: { $sum: 1 } } }])
+    ]);
+    const countsBySlug = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+    res.json(categories.map(category => ({
+      ...category.toObject(),
+      productCount: countsBySlug.get(category.slug) || 0
+    })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+const slugParams = z.object({ slug: requiredText(50) });
+
+// GET category by slug
+app.get('/api/categories/:slug', validate({ params: slugParams }), async (req, res, next) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug });
+    if (!category) {
+      return sendError(res, 404, 'Category not found');
+    }
+    const productCount = await Product.countDocuments({ category: category.slug });
+    res.json({ ...category.toObject(), productCount });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST category (admin only)
+const createCategorySchema = z.object({
+  slug: z.string().regex(/^[A-Za-z0-9-]{1,50}$/, 'Letters, numbers and dashes only'),
+  name: requiredText(100),
+  description: text(500).optional()
+});
+
+app.post('/api/admin/categories', authenticateToken, authorizeRoles('admin'), validate({ body: createCategorySchema }), async (req, res, next) => {
+  try {
+    const { slug, name, description } = req.body;
+    if (await Category.exists({ slug })) {
+      return sendError(res, 409, 'Category already exists with this slug');
+    }
+    const category = new Category({ slug, name, description });
+    await category.save();
+    res.status(201).json(category);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update category name/description (admin only). The slug is fixed because products reference it.
+const updateCategorySchema = z.object({
+  name: requiredText(100).optional(),
+  description: text(500).optional()
+});
+
+app.put('/api/admin/categories/:slug', authenticateToken, authorizeRoles('admin'), validate({ params: slugParams, body: updateCategorySchema }), async (req, res, next) => {
+  try {
+    const category = await Category.findOneAndUpdate(
+      { slug: req.params.slug },
+      { $set: definedFields(req.body) },
+      { new: true, runValidators: true }
+    );
+    if (!category) {
+      return sendError(res, 404, 'Category not found');
+    }
+    res.json(category);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete category (admin only) - only when no product uses it
+app.delete('/api/admin/categories/:slug', authenticateToken, authorizeRoles('admin'), validate({ params: slugParams }), async (req, res, next) => {
+  try {
+    const productCount = await Product.countDocuments({ category: req.params.slug });
+    if (productCount > 0) {
+      return sendError(res, 409, `Category is used by ${productCount} products`);
+    }
+
+    const category = await Category.findOneAndDelete({ slug: req.params.slug });
+    if (!category) {
+      return sendError(res, 404, 'Category not found');
+    }
+    res.json({ message: 'Category deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ========== REVIEW ROUTES ==========
+// Product.rating and Product.reviews are aggregates of approved reviews
+const updateProductRating = async (productId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { productId: String(productId), status: 'approved' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await Product.updateOne(
+    { _id: productId },
+    {
+      rating: stats ? Math.round(stats.average * 10) / 10 : 0,
+      reviews: stats ? stats.count : 0
+    }
+  );
+};
+
+// Only customers who received the product can review it
+const hasDeliveredOrder = (userId, productId) => {
+  return Order.exists({ userId, status: 'Delivered', 'items.productId': String(productId) });
+};
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  rating_desc: { rating: -1, createdAt: -1 },
+  rating_asc: { rating: 1, createdAt: -1 }
+};
+
+const reviewListQuery = z.object({
+  sort: z.enum(Object.keys(REVIEW_SORTS)).default('newest'),
+  ...pageQuery
+});
+
+// GET approved reviews for a product
+app.get('/api/products/:id/reviews', validate({ params: idParams, query: reviewListQuery }), async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const sort = REVIEW_SORTS[req.query.sort];
+
+    const filter = { productId: req.params.id, status: 'approved' };
+    const [reviews, total] = await Promise.all([
+      Review.find(filter).sort(sort).skip((page - 1) * limit).limit(limit),
+      Review.countDocuments(filter)
+    ]);
+
+    res.json({
+      reviews,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const reviewFields = {
+  rating: z.number().int().min(1).max(5),
+  title: text(120).optional(),
+  text: text(5000).optional()
+};
+
+// POST review for a product (customers with a delivered order only)
+app.post('/api/products/:id/reviews', authenticateToken, validate({ params: idParams, body: z.object(reviewFields) }), async (req, res, next) => {
+  try {
+    const { rating, title, text } = req.body;
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return sendError(res, 404, 'Product not found');
+    }
+    if (!(await hasDeliveredOrder(req.user.userId, product._id))) {
+      return sendError(res, 403, 'You can only review products from a delivered order');
+    }
+    if (await Review.exists({ productId: product._id, userId: req.user.userId })) {
+      return sendError(res, 409, 'You have already reviewed this product');
+    }
+
+    const user = await User.findById(req.user.userId);
+    const review = new Review({
+      productId: product._id,
+      userId: req.user.userId,
+      authorName: user ? `${user.firstName} ${user.lastName}` : undefined,
+      rating,
+      title,
+      text
+    });
+    await review.save();
+
+    res.status(201).json(review);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Edit own review - goes back to moderation
+app.put('/api/reviews/:id', authenticateToken, validate({ params: idParams, body: z.object(reviewFields).partial() }), async (req, res, next) => {
+  try {
+    const { rating, title, text } = req.body;
+
+    const review = await Review.findOne({ _id: req.params.id, userId: req.user.userId });
+    if (!review) {
+      return sendError(res, 404, 'Review not found');
+    }
+
+    const wasApproved = review.status === 'approved';
+    if (rating !== undefined) review.rating = rating;
+    if (title !== undefined) review.title = title;
+    if (text !== undefined) review.text = text;
+    review.status = 'pending';
+    review.updatedAt = new Date();
+    await review.save();
+
+    if (wasApproved) {
+      await updateProductRating(review.productId);
+    }
+
+    res.json(review);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete review (author, staff or admin)
+app.delete('/api/reviews/:id', authenticateToken, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const filter = { _id: req.params.id };
+    if (!STAFF_ROLES.includes(req.user.role)) {
+      filter.userId = req.user.userId;
+    }
+
+    const review = await Review.findOneAndDelete(filter);
+    if (!review) {
+      return sendError(res, 404, 'Review not found');
+    }
+
+    if (review.status === 'approved') {
+      await updateProductRating(review.productId);
+    }
+
+    res.json({ message: 'Review deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Mark a review as helpful (one vote per user, not on own reviews)
+app.post('/api/reviews/:id/helpful', authenticateToken, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const review = await Review.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        status: 'approved',
+        userId: { $ne: req.user.userId },
+        helpfulVoters: { $ne: req.user.userId }
+      },
+      { $push: { helpfulVoters: req.user.userId }, $inc: { helpfulCount: 1 } },
+      { new: true }
+    );
+    if (!review) {
+      return sendError(res, 400, 'Review not found or already voted');
+    }
+    res.json({ helpfulCount: review.helpfulCount });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET reviews for moderation (staff and admin)
+const REVIEW_STATUSES = Review.schema.path('status').enumValues;
+
+app.get('/api/admin/reviews', authenticateToken, authorizeRoles('staff', 'admin'), validate({ query: z.object({ status: z.enum(REVIEW_STATUSES).default('pending') }) }), async (req, res, next) => {
+  try {
+    const reviews = await Review.find({ status: req.query.status }).sort({ createdAt: 1 });
+    res.json(reviews);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Approve or reject a review (staff and admin)
+const moderateReviewSchema = z.object({
+  status: z.enum(['approved', 'rejected']),
+  note: text(500).optional()
+});
+
+app.put('/api/admin/reviews/:id', authenticateToken, authorizeRoles('staff', 'admin'), validate({ params: idParams, body: moderateReviewSchema }), async (req, res, next) => {
+  try {
+    const { status, note } = req.body;
+
+    const review = await Review.findByIdAndUpdate(
+      req.params.id,
+      {
+        status,
+        moderationNote: note,
+        moderatedBy: req.user.userId,
+        moderatedAt: new Date()
+      },
+      { new: true }
+    );
+    if (!review) {
+      return sendError(res, 404, 'Review not found');
+    }
+
+    await updateProductRating(review.productId);
+
+    res.json(review);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ========== INVENTORY ==========
+const getStockStatus = (product) => {
+  const stock = product.stock || 0;
+  if (stock <= 0) return 'out_of_stock';
+  if (stock <= product.lowStockThreshold) return 'low_stock';
+  return 'in_stock';
+};
+
+// Product as returned by the API, with its stock state
+const variantStockStatus = (product, variant) =>
+  getStockStatus({ stock: variant.stock, lowStockThreshold: product.lowStockThreshold });
+
+const productView = (product) => ({
+  ...product.toObject(),
+  variants: product.variants.map(variant => ({ ...variant.toObject(), stockStatus: variantStockStatus(product, variant) })),
+  stockStatus: getStockStatus(product)
+});
+
+// Manual stock adjustment body for products and dark stores:
+// { change } to add/remove units, or { stock } to set an absolute level, plus a reason
+const adjustStockSchema = z.object({
+  change: z.number().int().refine(change => change !== 0, 'Change must not be zero').optional(),
+  stock: z.number().int().min(0).optional(),
+  reason: requiredText(200)
+}).refine(body => (body.change === undefined) !== (body.stock === undefined), 'Send either change or stock');
+
+// 7m products, and order items snapshotted from them
+const isExpressItem = (item) => item.deliveryTime === '7m' || item.category === '7m';
+
+// Where an order item's units are held: the order's dark store for 7m items,
+// otherwise the warehouse (Product.stock). Returns a store id or null.
+const stockSource = (item, storeId) => (storeId && isExpressItem(item) ? storeId : null);
+
+// Order, cart and return lines are identified by product and variant
+const lineKey = (item) => (item.variantId ? `${item.productId}:${item.variantId}` : String(item.productId));
+
+// The variant a line refers to. Products with variants must be bought as one of them.
+// Returns { variant } (null for products without variants) or { status, code, error }.
+const resolveVariant = (product, variantId) => {
+  const hasVariants = Boolean(product.variants && product.variants.length > 0);
+  if (!variantId) {
+    if (hasVariants) {
+      return { status: 400, code: 'VARIANT_REQUIRED', error: `Choose a variant of ${product.name}`, productIds: [product.id] };
+    }
+    return { variant: null };
+  }
+  const variant = hasVariants ? product.variants.id(variantId) : null;
+  if (!variant) {
+    return { status: 400, code: 'UNKNOWN_VARIANT', error: `Unknown variant of ${product.name}`, productIds: [product.id] };
+  }
+  return { variant };
+};
+
+// Take an item's units from a store or the warehouse. A variant's stock and
+// its product's total move together. Dark store stock is kept per product,
+// which works because 7m products cannot have variants (EXPRESS_VARIANTS_ERROR).
+// Returns the stock left, or null when there is not enough.
+const takeStock = async (item, storeId) => {
+  if (storeId) {
+    const storeStock = await StoreStock.findOneAndUpdate(
+      { storeId, productId: item.productId, quantity: { $gte: item.quantity } },
+      { $inc: { quantity: -item.quantity }, updatedAt: new Date() },
+      { new: true }
+    );
+    return storeStock ? storeStock.quantity : null;
+  }
+  if (item.variantId) {
+    const product = await Product.findOneAndUpdate(
+      { _id: item.productId, variants: { $elemMatch: { _id: item.variantId, stock: { $gte: item.quantity } } } },
+      { $inc: { stock: -item.quantity, 'variants.$.stock': -item.quantity } },
+      { new: true }
+    );
+    return product ? product.variants.id(item.variantId).stock : null;
+  }
+  const product = await Product.findOneAndUpdate(
+    { _id: item.productId, stock: { $gte: item.quantity } },
+    { $inc: { stock: -item.quantity } },
+    { new: true }
+  );
+  return product ? product.stock : null;
+};
+
+// Put an item's units back. Returns the new stock level, or null if the product or variant is gone.
+const putStock = async (item, storeId) => {
+  if (storeId) {
+    const storeStock = await StoreStock.findOneAndUpdate(
+      { storeId, productId: item.productId },
+      { $inc: { quantity: item.quantity }, updatedAt: new Date() },
+      { new: true, upsert: true }
+    );
+    return storeStock.quantity;
+  }
+  if (item.variantId) {
+    const product = await Product.findOneAndUpdate(
+      { _id: item.productId, 'variants._id': item.variantId },
+      { $inc: { stock: item.quantity, 'variants.$.stock': item.quantity } },
+      { new: true }
+    );
+    return product ? product.variants.id(item.variantId).stock : null;
+  }
+  const product = await Product.findByIdAndUpdate(item.productId, { $inc: { stock: item.quantity } }, { new: true });
+  return product ? product.stock : null;
+};
+
+// Put order items' units back where they were taken from, logging each
+const restockItems = async (items, storeId, reason, orderId) => {
+  for (const item of items) {
+    const source = stockSource(item, storeId);
+    const stockAfter = await putStock(item, source);
+    if (stockAfter !== null) {
+      await StockAdjustment.create({
+        productId: item.productId,
+        storeId: source || undefined,
+        variantId: item.variantId,
+        change: item.quantity,
+        stockAfter,
+        reason,
+        orderId
+      });
+    }
+  }
+};
+
+// Atomically take stock for every order item, 7m items from storeId when
+// given. Either all items are reserved or none are: on a shortfall the
+// earlier decrements are undone.
+const reserveStock = async (items, orderId, storeId) => {
+  const reserved = [];
+  for (const item of items) {
+    const source = stockSource(item, storeId);
+    const stockAfter = await takeStock(item, source);
+    if (stockAfter === null) {
+      await restockItems(reserved, storeId, 'order rollback', orderId);
+      return { status: 409, code: 'OUT_OF_STOCK', error: 'Insufficient stock', productIds: [item.productId] };
+    }
+    reserved.push(item);
+    await StockAdjustment.create({
+      productId: item.productId,
+      storeId: source || undefined,
+      variantId: item.variantId,
+      change: -item.quantity,
+      stockAfter,
+      reason: 'order',
+      orderId
+    });
+  }
+  return {};
+};
+
+// Return an order's stock to inventory. Safe to call more than once:
+// only the call that flips stockReserved puts the units back.
+const releaseStock = async (orderId, reason = 'cancellation') => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, stockReserved: true },
+    { stockReserved: false },
+    { new: true }
+  );
+  if (!order) return;
+
+  await restockItems(order.items, order.storeId, reason, order.id);
+};
+
+// Products saved before stock was tracked have no stock field, which no
+// reservation matches. They start out of stock so the shop restocks them
+// through the stock endpoint; LEGACY_PRODUCT_STOCK gives them that many units
+// instead, logged like any other change.
+const LEGACY_PRODUCT_STOCK = envInteger('LEGACY_PRODUCT_STOCK', 0);
+const migrateProductStock = async () => {
+  const legacyProducts = await Product.collection.find({ stock: { $exists: false } }, { projection: { _id: 1 } }).toArray();
+  for (const legacy of legacyProducts) {
+    await Product.collection.updateOne(
+      { _id: legacy._id, stock: { $exists: false } },
+      { $set: { stock: LEGACY_PRODUCT_STOCK } }
+    );
+    if (LEGACY_PRODUCT_STOCK > 0) {
+      await StockAdjustment.create({ productId: String(legacy._id), change: LEGACY_PRODUCT_STOCK, stockAfter: LEGACY_PRODUCT_STOCK, reason: 'initial stock (migration)' });
+    }
+  }
+
+  await Product.collection.updateMany({ lowStockThreshold: { $exists: false } }, { $set: { lowStockThreshold: 5 } });
+
+  if (legacyProducts.length > 0) {
+    console.log(`Gave ${legacyProducts.length} products an initial stock of ${LEGACY_PRODUCT_STOCK}`);
+  }
+};
+
+// ========== SERVICEABILITY ==========
+// 7m items are delivered from dark stores. Each store covers a list of
+// pincodes and holds its own stock of 7m products (StoreStock).
+// Everything else ships from the warehouse to any pincode.
+const findStoreForPincode = (code) => Store.findOne({ pincodes: code, active: true });
+
+// What can be delivered to a pincode and how fast.
+// The 7m products themselves are listed by GET /api/products/7m?pincode=
+app.get('/api/serviceability/:pincode', validate({ params: z.object({ pincode }) }), async (req, res, next) => {
+  try {
+    const store = await findStoreForPincode(req.params.pincode);
+    const expressProducts = store
+      ? await StoreStock.countDocuments({ storeId: store.id, quantity: { $gt: 0 } })
+      : 0;
+
+    res.json({
+      pincode: req.params.pincode,
+      express: {
+        available: Boolean(store),
+        store: store ? { code: store.code, name: store.name } : null,
+        deliveryMinutes: store ? store.deliveryMinutes : null,
+        productCount: expressProducts
+      },
+      standard: { available: true }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET all dark stores (staff and admin)
+app.get('/api/admin/stores', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res, next) => {
+  try {
+    const stores = await Store.find().sort({ code: 1 });
+    res.json(stores);
+  } catch (err) {
+    next(err);
+  }
+});
+
+const storeSchema = z.object({
+  code: z.string().regex(/^[A-Za-z0-9-]{1,30}$/, 'Letters, numbers and dashes only'),
+  name: requiredText(100),
+  pincodes: z.array(pincode).max(500).default([]),
+  deliveryMinutes: positiveInt.default(7),
+  active: z.boolean().default(true)
+});
+
+// POST dark store (admin only)
+app.post('/api/admin/stores', authenticateToken, authorizeRoles('admin'), validate({ body: storeSchema }), async (req, res, next) => {
+  try {
+    if (await Store.exists({ code: req.body.code })) {
+      return sendError(res, 409, 'Store already exists with this code');
+    }
+    const store = new Store(req.body);
+    await store.save();
+    res.status(201).json(store);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update a dark store (admin only). pincodes replaces the whole coverage list.
+// Deactivated stores stop taking 7m orders; orders already placed are not affected.
+const updateStoreSchema = storeSchema.omit({ code: true }).partial();
+
+app.put('/api/admin/stores/:id', authenticateToken, authorizeRoles('admin'), validate({ params: idParams, body: updateStoreSchema }), async (req, res, next) => {
+  try {
+    const store = await Store.findByIdAndUpdate(
+      req.params.id,
+      { $set: definedFields(req.body) },
+      { new: true, runValidators: true }
+    );
+    if (!store) {
+      return sendError(res, 404, 'Store not found');
+    }
+    res.json(store);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET a dark store's stock (staff and admin)
+app.get('/api/admin/stores/:id/stock', authenticateToken, authorizeRoles('staff', 'admin'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const store = await Store.findById(req.params.id);
+    if (!store) {
+      return sendError(res, 404, 'Store not found');
+    }
+
+    const stock = await StoreStock.find({ storeId: store.id });
+    const products = await Product.find({ _id: { $in: stock.map(storeStock => storeStock.productId) } }, { name: 1 });
+    const names = new Map(products.map(product => [product.id, product.name]));
+
+    res.json({
+      store,
+      stock: stock.map(storeStock => ({
+        productId: storeStock.productId,
+        name: names.get(storeStock.productId),
+        quantity: storeStock.quantity,
+        updatedAt: storeStock.updatedAt
+      }))
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Adjust a 7m product's stock at a dark store (staff and admin), see adjustStockSchema
+app.post('/api/admin/stores/:id/stock/:productId', authenticateToken, authorizeRoles('staff', 'admin'), validate({ params: z.object({ id: objectId, productId: objectId }), body: adjustStockSchema }), async (req, res, next) => {
+  try {
+    const { change, stock, reason } = req.body;
+    const { id: storeId, productId } = req.params;
+
+    const [store, product] = await Promise.all([Store.findById(storeId), Product.findById(productId)]);
+    if (!store) {
+      return sendError(res, 404, 'Store not found');
+    }
+    if (!product) {
+      return sendError(res, 404, 'Product not found');
+    }
+    if (!isExpressItem(product)) {
+      return sendError(res, 400, 'Only 7m products are stocked at dark stores');
+    }
+
+    let storeStock;
+    let delta;
+    if (stock !== undefined) {
+      const previous = await StoreStock.findOneAndUpdate(
+        { storeId, productId },
+        { quantity: stock, updatedAt: new Date() },
+        { upsert: true }
+      );
+      delta = stock - (previous ? previous.quantity : 0);
+      storeStock = await StoreStock.findOne({ storeId, productId });
+    } else {
+      // Never let a removal take stock below zero
+      const filter = change < 0 ? { storeId, productId, quantity: { $gte: -change } } : { storeId, productId };
+      storeStock = await StoreStock.findOneAndUpdate(
+        filter,
+        { $inc: { quantity: change }, updatedAt: new Date() },
+        { new: true, upsert: change > 0 }
+      );
+      if (!storeStock) {
+        return sendError(res, 409, 'Insufficient stock', { code: 'OUT_OF_STOCK' });
+      }
+      delta = change;
+    }
+
+    await StockAdjustment.create({
+      productId,
+      storeId,
+      change: delta,
+      stockAfter: storeStock.quantity,
+      reason,
+      adjustedBy: req.user.userId
+    });
+
+    res.json(storeStock);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ========== DELIVERY ESTIMATES & SLOTS ==========
+// Standard items are packed at the warehouse and sent by courier: an order
+// is dispatched after the longest product lead time (a day later when placed
+// after the daily cutoff), then spends TRANSIT_DAYS in transit. Dates are
+// calendar days in India time, as YYYY-MM-DD.
+const WAREHOUSE_PINCODE = process.env.WAREHOUSE_PINCODE || '560034';
+const DISPATCH_CUTOFF_HOUR = envInteger('DISPATCH_CUTOFF_HOUR', 14, 0, 23);
+const LOCAL_TIME_OFFSET_MS = 330 * 60 * 1000; // UTC+5:30
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Transit days by distance from the warehouse: same sorting district
+// (first 3 pincode digits), same postal circle (first 2), anywhere else
+const TRANSIT_DAYS = {
+  local: { min: 1, max: 1 },
+  regional: { min: 2, max: 3 },
+  national: { min: 3, max: 5 }
+};
+
+// Standard deliveries can book a time window on any of the first
+// SLOT_BOOKING_DAYS days from the earliest delivery date.
+const DELIVERY_SLOT_WINDOWS = ['09:00-12:00', '12:00-15:00', '15:00-18:00', '18:00-21:00'];
+const DEFAULT_SLOT_CAPACITY = envInteger('DELIVERY_SLOT_CAPACITY', 50, 1);
+const SLOT_BOOKING_DAYS = 7;
+
+const isoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Use YYYY-MM-DD');
+const slotSchema = z.object({
+  date: isoDate,
+  window: z.enum(DELIVERY_SLOT_WINDOWS)
+});
+
+// Local calendar date `days` days after an instant, or after a YYYY-MM-DD date
+const localDate = (from, days = 0) => {
+  const start = typeof from === 'string' ? Date.parse(from) : from.getTime() + LOCAL_TIME_OFFSET_MS;
+  return new Date(start + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+const transitZone = (code) => {
+  if (code.slice(0, 3) === WAREHOUSE_PINCODE.slice(0, 3)) return 'local';
+  if (code.slice(0, 2) === WAREHOUSE_PINCODE.slice(0, 2)) return 'regional';
+  return 'national';
+};
+
+// Delivery estimate for order items (or products) going to a pincode.
+// store is the dark store covering the pincode, or null.
+// Returns { express, standard }, each null when there are no such items:
+//   express:  { minutes, by } - 7m items from the dark store
+//   standard: { zone, dispatchDate, earliestDate, latestDate } - everything else
+const estimateDelivery = (items, code, store, now = new Date()) => {
+  const expressItems = items.filter(isExpressItem);
+  const standardItems = items.filter(item => !isExpressItem(item));
+
+  let express = null;
+  if (expressItems.length > 0 && store) {
+    express = { minutes: store.deliveryMinutes, by: new Date(now.getTime() + store.deliveryMinutes * 60 * 1000) };
+  }
+
+  let standard = null;
+  if (standardItems.length > 0) {
+    const leadTime = Math.max(...standardItems.map(item => item.leadTimeDays || 0));
+    const pastCutoff = new Date(now.getTime() + LOCAL_TIME_OFFSET_MS).getUTCHours() >= DISPATCH_CUTOFF_HOUR;
+    const dispatchDate = localDate(now, leadTime + (pastCutoff ? 1 : 0));
+    const zone = transitZone(code);
+    standard = {
+      zone,
+      dispatchDate,
+      earliestDate: localDate(dispatchDate, TRANSIT_DAYS[zone].min),
+      latestDate: localDate(dispatchDate, TRANSIT_DAYS[zone].max)
+    };
+  }
+
+  return { express, standard };
+};
+
+// Days a standard delivery can be booked on
+const slotDates = (standard) => {
+  return Array.from({ length: SLOT_BOOKING_DAYS }, (_, index) => localDate(standard.earliestDate, index));
+};
+
+// Check a requested slot against an estimate (see estimateDelivery)
+const checkSlot = (slot, estimate) => {
+  if (!estimate.standard) {
+    return { status: 400, code: 'INVALID_SLOT', error: 'Delivery slots are only available for standard delivery' };
+  }
+  if (!slotDates(estimate.standard).includes(slot.date)) {
+    return {
+      status: 400,
+      code: 'INVALID_SLOT',
+      error: `Choose a delivery date from ${estimate.standard.earliestDate} to ${localDate(estimate.standard.earliestDate, SLOT_BOOKING_DAYS - 1)}`
+    };
+  }
+  return {};
+};
+
+// Take one place in a slot. Capacity is enforced atomically.
+const bookSlot = async ({ date, window }) => {
+  try {
+    await DeliverySlot.updateOne(
+      { date, window },
+      { $setOnInsert: { capacity: DEFAULT_SLOT_CAPACITY, booked: 0 } },
+      { upsert: true }
+    );
+  } catch (err) {
+    // Another booking created the slot first
+    if (err.code !== 11000) throw err;
+  }
+
+  const slot = await DeliverySlot.findOneAndUpdate(
+    { date, window, $expr: { $lt: ['$booked', '$capacity'] } },
+    { $inc: { booked: 1 } }
+  );
+  if (!slot) {
+    return { status: 409, code: 'SLOT_FULL', error: 'This delivery slot is full, please choose another' };
+  }
+  return {};
+};
+
+const unbookSlot = async ({ date, window }) => {
+  await DeliverySlot.updateOne({ date, window, booked: { $gt: 0 } }, { $inc: { booked: -1 } });
+};
+
+// Give an order's slot back. Safe to call more than once.
+const releaseSlot = async (orderId) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, 'delivery.slotBooked': true },
+    { 'delivery.slotBooked': false }
+  );
+  if (order) {
+    await unbookSlot(order.delivery.slot);
+  }
+};
+
+// Promised delivery as shown in tracking. A booked slot narrows the standard dates to its day.
+const promisedDelivery = (delivery) => {
+  if (!delivery) return null;
+  const { express, standard, slot } = delivery;
+  const hasSlot = Boolean(slot && slot.date);
+  const hasStandard = Boolean(standard && standard.earliestDate);
+  return {
+    expressBy: express && express.by ? express.by : null,
+    earliestDate: hasSlot ? slot.date : (hasStandard ? standard.earliestDate : null),
+    latestDate: hasSlot ? slot.date : (hasStandard ? standard.latestDate : null),
+    slot: hasSlot ? { date: slot.date, window: slot.window } : null
+  };
+};
+
+// Estimate delivery for products to a pincode, with the slots that can be booked
+// GET /api/delivery/estimate?pincode=560034&productIds=id1,id2
+const estimateQuery = z.object({
+  pincode,
+  productIds: csvList.pipe(z.array(objectId).min(1, 'Required').max(100))
+});
+
+app.get('/api/delivery/estimate', validate({ query: estimateQuery }), async (req, res, next) => {
+  try {
+    const { pincode: code, productIds } = req.query;
+
+    const products = await Product.find({ _id: { $in: productIds } });
+    if (products.length !== new Set(productIds).size) {
+      const found = new Set(products.map(product => product.id));
+      return sendError(res, 400, 'Unknown products', {
+        code: 'UNKNOWN_PRODUCTS',
+        productIds: productIds.filter(productId => !found.has(productId))
+      });
+    }
+
+    const store = products.some(isExpressItem) ? await findStoreForPincode(code) : null;
+    const estimate = estimateDelivery(products, code, store);
+    const notServiceable = store ? [] : products.filter(isExpressItem).map(product => product.id);
+
+    let slots = [];
+    if (estimate.standard) {
+      const dates = slotDates(estimate.standard);
+      const booked = await DeliverySlot.find({ date: { $in: dates } });
+      const byKey = new Map(booked.map(slot => [`${slot.date} ${slot.window}`, slot]));
+      slots = dates.flatMap(date => DELIVERY_SLOT_WINDOWS.map(window => {
+        const slot = byKey.get(`${date} ${window}`);
+        const remaining = slot ? Math.max(slot.capacity - slot.booked, 0) : DEFAULT_SLOT_CAPACITY;
+        return { date, window, remaining, available: remaining > 0 };
+      }));
+    }
+
+    res.json({ pincode: code, ...estimate, notServiceable, slots });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET delivery slot bookings (staff and admin) - ?from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get('/api/admin/delivery-slots', authenticateToken, authorizeRoles('staff', 'admin'), validate({ query: z.object({ from: isoDate.optional(), to: isoDate.optional() }) }), async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.from || req.query.to) {
+      filter.date = {};
+      if (req.query.from) filter.date.$gte = req.query.from;
+      if (req.query.to) filter.date.$lte = req.query.to;
+    }
+    const slots = await DeliverySlot.find(filter).sort({ date: 1, window: 1 });
+    res.json(slots);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Set the capacity of a slot (admin only). Existing bookings are kept even if
+// the new capacity is lower; the slot just stops taking new ones.
+app.put('/api/admin/delivery-slots', authenticateToken, authorizeRoles('admin'), validate({ body: slotSchema.extend({ capacity: z.number().int().min(0) }) }), async (req, res, next) => {
+  try {
+    const { date, window, capacity } = req.body;
+    const slot = await DeliverySlot.findOneAndUpdate(
+      { date, window },
+      { $set: { capacity }, $setOnInsert: { booked: 0 } },
+      { new: true, upsert: true, runValidators: true }
+    );
+    res.json(slot);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ========== PAYMENTS ==========
+// 'cod' is cash on delivery; every other method is paid online through PAYMENT_PROVIDER
+const PAYMENT_METHODS = ['cod', 'card', 'upi', 'netbanking'];
+
+// Verify an HMAC-SHA256 hex signature over the raw request body
+const verifySignature = (rawBody, signature, secret) => {
+  if (!rawBody || !signature || !secret) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  return expected.length === String(signature).length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(signature)));
+};
+
+// Payment providers. Each one lists the env it needs and implements:
+//   createIntent({ amount, currency, receipt }) -> { providerPaymentId, clientData }
+//   parseWebhook(req) -> { eventId, type, providerPaymentId, providerChargeId, amount } or null if the signature is bad
+//   refund({ payment, amount }) -> { providerRefundId }
+// type is 'payment.succeeded', 'payment.failed', or anything else (ignored).
+const paymentProviders = {
+  // Razorpay: an order is created server-side and paid with Razorpay Checkout on the client
+  razorpay: {
+    requiredEnv: ['RAZORPAY_KEY_ID', 'RAZORPAY_KEY_SECRET', 'RAZORPAY_WEBHOOK_SECRET'],
+    createIntent: async ({ amount, currency, receipt }) => {
+      const auth = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
+      const response = await fetch('https://api.razorpay.com/v1/orders', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Basic ${auth}` },
+        body: JSON.stringify({ amount: Math.round(amount * 100), currency, receipt })
+      });
+      if (!response.ok) {
+        throw new Error(`Razorpay order creation failed with status ${response.status}`);
+      }
+      const razorpayOrder = await response.json();
+      return {
+        providerPaymentId: razorpayOrder.id,
+        clientData: { keyId: process.env.RAZORPAY_KEY_ID, orderId: razorpayOrder.id }
+      };
+    },
+    parseWebhook: (req) => {
+      if (!verifySignature(req.rawBody, req.headers['x-razorpay-signature'], process.env.RAZORPAY_WEBHOOK_SECRET)) {
+        return null;
+      }
+      const entity = req.body.payload && req.body.payload.payment && req.body.payload.payment.entity;
+      const types = { 'payment.captured': 'payment.succeeded', 'payment.failed': 'payment.failed' };
+      return {
+        eventId: req.headers['x-razorpay-event-id'],
+        type: types[req.body.event] || req.body.event,
+        providerPaymentId: entity && entity.order_id,
+        providerChargeId: entity && entity.id,
+        amount: entity && entity.amount / 100
+      };
+    },
+    refund: async ({ payment, amount }) => {
+      const auth = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
+      const response = await fetch(`https://api.razorpay.com/v1/payments/${payment.providerChargeId}/refund`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Basic ${auth}` },
+        body: JSON.stringify({ amount: Math.round(amount * 100) })
+      });
+      if (!response.ok) {
+        throw new Error(`Razorpay refund failed with status ${response.status}`);
+      }
+      const refund = await response.json();
+      return { providerRefundId: refund.id };
+    }
+  },
+
+  // Local provider for development and tests: no network, webhooks signed with FAKE_PAYMENT_WEBHOOK_SECRET.
+  // Send { id, type, paymentId, amount } with an x-fake-signature header to complete a payment.
+  // Never allowed in production: anyone holding the secret can mark orders paid.
+  fake: {
+    requiredEnv: ['FAKE_PAYMENT_WEBHOOK_SECRET'],
+    createIntent: async () => {
+      const providerPaymentId = `fake_pay_${crypto.randomUUID()}`;
+      return { providerPaymentId, clientData: { paymentId: providerPaymentId } };
+    },
+    parseWebhook: (req) => {
+      if (!verifySignature(req.rawBody, req.headers['x-fake-signature'], process.env.FAKE_PAYMENT_WEBHOOK_SECRET)) {
+        return null;
+      }
+      return {
+        eventId: req.body.id,
+        type: req.body.type,
+        providerPaymentId: req.body.paymentId,
+        providerChargeId: req.body.paymentId,
+        amount: req.body.amount
+      };
+    },
+    refund: async () => ({ providerRefundId: `fake_refund_${crypto.randomUUID()}` })
+  }
+};
+
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'fake';
+if (!paymentProviders[PAYMENT_PROVIDER]) {
+  throw new Error(`Unknown PAYMENT_PROVIDER: ${PAYMENT_PROVIDER}`);
+}
+const missingPaymentEnv = paymentProviders[PAYMENT_PROVIDER].requiredEnv.filter(name => !process.env[name]);
+if (IS_PRODUCTION) {
+  if (PAYMENT_PROVIDER === 'fake') {
+    throw new Error('PAYMENT_PROVIDER=fake is not allowed in production');
+  }
+  if (missingPaymentEnv.length > 0) {
+    throw new Error(`PAYMENT_PROVIDER=${PAYMENT_PROVIDER} needs ${missingPaymentEnv.join(', ')}`);
+  }
+} else if (missingPaymentEnv.length > 0) {
+  console.warn(`PAYMENT_PROVIDER=${PAYMENT_PROVIDER}: ${missingPaymentEnv.join(', ')} not set, webhooks will be rejected`);
+}
+
+// Minutes a customer has to complete an online payment. Each new attempt restarts the clock.
+const PAYMENT_WINDOW_MINUTES = envInteger('PAYMENT_WINDOW_MINUTES', 30, 1);
+const paymentDeadline = () => new Date(Date.now() + PAYMENT_WINDOW_MINUTES * 60 * 1000);
+
+// Payment as returned to the client, with what it needs to open the provider checkout
+const paymentView = (payment, clientData) => ({
+  id: payment._id,
+  provider: payment.provider,
+  providerPaymentId: payment.providerPaymentId,
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status,
+  clientData
+});
+
+// Create a payment intent with the provider for an order awaiting payment
+const startPayment = async (order) => {
+  const intent = await paymentProviders[PAYMENT_PROVIDER].createIntent({
+    amount: order.total,
+    currency: 'INR',
+    receipt: order.id
+  });
+
+  const payment = await Payment.create({
+    orderId: order._id,
+    userId: order.userId,
+    provider: PAYMENT_PROVIDER,
+    providerPaymentId: intent.providerPaymentId,
+    amount: order.total
+  });
+  await Order.updateOne({ _id: order._id, status: 'Pending payment' }, { pendingUntil: paymentDeadline() });
+
+  return paymentView(payment, intent.clientData);
+};
+
+// GET payments for an order
+app.get('/api/orders/:id/payments', authenticateToken, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, userId: req.user.userId });
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+    const payments = await Payment.find({ orderId: order._id }).sort({ createdAt: -1 });
+    res.json(payments.map(payment => paymentView(payment)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Start a new payment attempt for an order still awaiting payment (e.g. after a failed one)
+app.post('/api/orders/:id/payments', authenticateToken, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, userId: req.user.userId });
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+    if (order.status !== 'Pending payment') {
+      return sendError(res, 409, 'Order is not awaiting payment', { code: 'INVALID_TRANSITION' });
+    }
+
+    res.status(201).json(await startPayment(order));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Payment provider webhook, only for the configured provider. Answers 200 for
+// anything it has already seen or does not care about, so the provider stops retrying.
+app.post(`/api/payments/webhook/${PAYMENT_PROVIDER}`, async (req, res, next) => {
+  try {
+    const provider = PAYMENT_PROVIDER;
+    const event = paymentProviders[provider].parseWebhook(req);
+    if (!event) {
+      return sendError(res, 400, 'Invalid webhook signature', { code: 'INVALID_SIGNATURE' });
+    }
+    if (!event.eventId) {
+      return sendError(res, 400, 'Webhook event id missing');
+    }
+
+    // Record the event first: a duplicate delivery fails on the unique index
+    try {
+      await WebhookEvent.create({ provider, eventId: event.eventId, type: event.type });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.json({ received: true, duplicate: true });
+      }
+      throw err;
+    }
+
+    try {
+      await handlePaymentEvent(provider, event);
+    } catch (err) {
+      // Forget the event so the provider's retry is processed again
+      await WebhookEvent.deleteOne({ provider, eventId: event.eventId });
+      throw err;
+    }
+
+    res.json({ received: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Apply a verified payment event to its payment and order
+const handlePaymentEvent = async (provider, event) => {
+  if (event.type !== 'payment.succeeded' && event.type !== 'payment.failed') {
+    return;
+  }
+
+  const payment = await Payment.findOne({ provider, providerPaymentId: event.providerPaymentId });
+  if (!payment || payment.status === 'succeeded') {
+    return;
+  }
+
+  payment.updatedAt = new Date();
+  // The order stays pending so the customer can retry; expireUnpaidOrders
+  // cancels it if no attempt succeeds in time
+  if (event.type === 'payment.failed') {
+    payment.status = 'failed';
+    await payment.save();
+    return;
+  }
+  if (event.amount !== payment.amount) {
+    payment.status = 'failed';
+    payment.failureReason = `Amount mismatch: expected ${payment.amount}, received ${event.amount}`;
+    await payment.save();
+    return;
+  }
+
+  payment.status = 'succeeded';
+  payment.providerChargeId = event.providerChargeId;
+  await payment.save();
+
+  const order = await Order.findById(payment.orderId);
+  if (order && order.status === 'Pending payment') {
+    const result = await transitionOrder(order, 'Confirmed', { userId: 'system', role: 'system' }, { note: `Paid via ${provider}` });
+    if (!result.error) return;
+  }
+
+  // The order was cancelled (or paid by another attempt) before this payment
+  // landed: give the money back rather than keep it against nothing
+  await refundUnusedPayment(payment);
+};
+
+// Refund a whole payment through its provider. When that fails the payment is
+// left as needs_refund for an admin, see GET /api/admin/payments.
+const refundUnusedPayment = async (payment) => {
+  try {
+    const { providerRefundId } = await paymentProviders[payment.provider].refund({ payment, amount: payment.amount });
+    payment.status = 'refunded';
+    payment.providerRefundId = providerRefundId;
+  } catch (err) {
+    console.error('Refund of unused payment failed:', err);
+    payment.status = 'needs_refund';
+    payment.failureReason = err.message;
+  }
+  payment.updatedAt = new Date();
+  await payment.save();
+};
+
+const adminPaymentsQuery = z.object({
+  status: z.enum(PAYMENT_STATUSES).optional(),
+  ...pageQuery
+});
+
+// List payments, newest first, e.g. ?status=needs_refund for the ones to refund by hand (admin only)
+app.get('/api/admin/payments', authenticateToken, authorizeRoles('admin'), validate({ query: adminPaymentsQuery }), async (req, res, next) => {
+  try {
+    const { status, page, limit } = req.query;
+    const filter = status ? { status } : {};
+    const [payments, total] = await Promise.all([
+      Payment.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Payment.countDocuments(filter)
+    ]);
+    res.json({
+      payments,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Cancel online orders whose payment was not completed in time, giving back
+// the stock, coupon and delivery slot they hold. Orders from before
+// pendingUntil existed expire by their order date.
+const expireUnpaidOrders = async () => {
+  const now = new Date();
+  const legacyCutoff = new Date(now.getTime() - PAYMENT_WINDOW_MINUTES * 60 * 1000).toISOString();
+  const expired = await Order.find({
+    status: 'Pending payment',
+    $or: [{ pendingUntil: { $lte: now } }, { pendingUntil: { $exists: false }, date: { $lte: legacyCutoff } }]
+  });
+
+  for (const order of expired) {
+    // A payment landing meanwhile wins: the transition only applies while still pending
+    await transitionOrder(order, 'Cancelled', { userId: 'system', role: 'system' }, {
+      cancellationReason: { reason: 'Payment was not completed in time' }
+    });
+  }
+
+  if (expired.length > 0) {
+    console.log(`Cancelled ${expired.length} unpaid orders`);
+  }
+};
+
+// ========== ORDER STATUS ==========
+const ORDER_STATUSES = ['Pending payment', 'Placed', 'Confirmed', 'Packed', 'Shipped', 'Out for delivery', 'Delivered', 'Cancelled', 'Returned'];
+
+// Allowed transitions: from status -> to status -> roles that may make it.
+// 'customer' means the owner of the order acting through /api/orders,
+// 'system' means the server itself (e.g. a payment webhook).
+const STAFF_ROLES = ['staff', 'admin'];
+const ORDER_TRANSITIONS = {
+  'Pending payment': { 'Confirmed': ['system'], 'Cancelled': ['customer', 'system', ...STAFF_ROLES] },
+  'Placed': { 'Confirmed': STAFF_ROLES, 'Cancelled': ['customer', ...STAFF_ROLES] },
+  'Confirmed': { 'Packed': STAFF_ROLES, 'Cancelled': ['customer', ...STAFF_ROLES] },
+  'Packed': { 'Shipped': STAFF_ROLES, 'Cancelled': STAFF_ROLES },
+  'Shipped': { 'Out for delivery': STAFF_ROLES },
+  'Out for delivery': { 'Delivered': STAFF_ROLES },
+  'Delivered': { 'Returned': ['system', ...STAFF_ROLES] },
+  'Cancelled': {},
+  'Returned': {}
+};
+
+// The normal delivery path shown in tracking
+const DELIVERY_STEPS = ['Placed', 'Confirmed', 'Packed', 'Shipped', 'Out for delivery', 'Delivered'];
+
+// Build the tracking object from an order's status history and promised delivery
+const buildTracking = (statusHistory, delivery) => {
+  const reachedAt = new Map(statusHistory.map(entry => [entry.status, entry.at]));
+  const last = statusHistory[statusHistory.length - 1];
+
+  // Orders paid online start as 'Pending payment'; creating the order counts as Placed
+  if (!reachedAt.has('Placed') && statusHistory.length > 0) {
+    reachedAt.set('Placed', statusHistory[0].at);
+  }
+
+  const timeline = DELIVERY_STEPS.map(status => ({
+    status,
+    completed: reachedAt.has(status),
+    at: reachedAt.get(status) || null
+  }));
+  if (last && !DELIVERY_STEPS.includes(last.status)) {
+    timeline.push({ status: last.status, completed: true, at: last.at });
+  }
+
+  return {
+    currentStatus: last ? last.status : null,
+    lastUpdated: last ? last.at : null,
+    promised: promisedDelivery(delivery),
+    timeline
+  };
+};
+
+// Move an order to a new status if the actor is allowed to.
+// The update only applies if the order is still in the status we checked,
+// so two concurrent changes cannot both succeed.
+// Returns { order }, or { status, error } when the change is not allowed.
+const transitionOrder = async (order, toStatus, actor, { note, cancellationReason } = {}) => {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    return { status: 400, error: `Status must be one of: ${ORDER_STATUSES.join(', ')}` };
+  }
+
+  const allowedRoles = (ORDER_TRANSITIONS[order.status] || {})[toStatus];
+  if (!allowedRoles) {
+    return { status: 409, code: 'INVALID_TRANSITION', error: `Cannot change order from ${order.status} to ${toStatus}` };
+  }
+  if (!allowedRoles.includes(actor.role)) {
+    return { status: 403, error: `You cannot change this order to ${toStatus}` };
+  }
+
+  const entry = { status: toStatus, at: new Date(), actor: actor.userId, actorRole: actor.role, note };
+  const update = {
+    status: toStatus,
+    tracking: buildTracking([...order.statusHistory, entry], order.delivery)
+  };
+  if (toStatus === 'Cancelled') {
+    update.cancellationReason = {
+      reason: cancellationReason && cancellationReason.reason,
+      comment: cancellationReason && cancellationReason.comment,
+      cancelledAt: entry.at
+    };
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    { $set: update, $push: { statusHistory: entry } },
+    { new: true }
+  );
+  if (!updated) {
+    return { status: 409, error: 'Order was updated by someone else, please retry' };
+  }
+
+  if (toStatus === 'Cancelled') {
+    await releaseStock(updated._id);
+    updated.stockReserved = false;
+    await releaseCoupon(updated.id);
+    await releaseSlot(updated._id);
+    emitEvent('order.cancelled', { userId: updated.userId, order: updated });
+  } else {
+    emitEvent('order.status_changed', { userId: updated.userId, order: updated, from: order.status });
+  }
+
+  return { order: updated };
+};
+
+// ========== ORDER ROUTES ==========
+// Get user orders
+app.get('/api/orders', authenticateToken, async (req, res, next) => {
+  try {
+    const orders = await Order.find({ userId: req.user.userId }).sort({ date: -1 });
+
+    // Attach return requests; refunds are already stored on the order
+    const returns = await ReturnRequest.find({ orderId: { $in: orders.map(order => order._id) } }).sort({ createdAt: 1 });
+    const returnsByOrder = new Map();
+    for (const returnRequest of returns) {
+      const list = returnsByOrder.get(returnRequest.orderId) || [];
+      list.push(returnRequest);
+      returnsByOrder.set(returnRequest.orderId, list);
+    }
+
+    res.json(orders.map(order => ({
+      ...order.toJSON(),
+      returns: returnsByOrder.get(order._id.toString()) || []
+    })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delivery charges (INR)
+const DELIVERY_FEE = 40;
+const FREE_DELIVERY_MIN_SUBTOTAL = 499;
+const EXPRESS_DELIVERY_FEE = 25; // added when any item is 7m
+
+// Price requested items from the current Product data.
+// Returns { error, status } when the request is not acceptable.
+const priceOrderItems = async (requestedItems) => {
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    return { status: 400, error: 'Order must contain at least one item' };
+  }
+
+  // Combine duplicate lines for the same product and variant
+  const lines = new Map();
+  for (const item of requestedItems) {
+    const productId = item && String(item.productId);
+    if (!mongoose.isValidObjectId(productId)) {
+      return { status: 400, error: `Invalid product id: ${productId}` };
+    }
+    if (!isValidQuantity(item.quantity)) {
+      return { status: 400, error: 'Quantity must be a positive integer' };
+    }
+    const variantId = item.variantId ? String(item.variantId) : undefined;
+    const key = lineKey({ productId, variantId });
+    const line = lines.get(key) || { productId, variantId, quantity: 0 };
+    line.quantity += item.quantity;
+    if (item.blogPostId) {
+      line.blogPostId = item.blogPostId;
+    }
+    lines.set(key, line);
+  }
+
+  const productIds = [...new Set([...lines.values()].map(line => line.productId))];
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const unknown = productIds.filter(productId => !productsById.has(productId));
+  if (unknown.length > 0) {
+    return { status: 400, code: 'UNKNOWN_PRODUCTS', error: 'Unknown products in order', productIds: unknown };
+  }
+
+  const items = [];
+  for (const { productId, variantId, quantity, blogPostId } of lines.values()) {
+    const product = productsById.get(productId);
+    const resolved = resolveVariant(product, variantId);
+    if (resolved.error) {
+      return resolved;
+    }
+    const { variant } = resolved;
+    const price = variant ? variant.price : product.price;
+    items.push({
+      productId,
+      name: product.name,
+      img: (variant && variant.img) || product.img,
+      price,
+      quantity,
+      lineTotal: price * quantity,
+      deliveryTime: product.deliveryTime,
+      leadTimeDays: product.leadTimeDays,
+      category: product.category,
+      variantId,
+      sku: variant ? variant.sku : undefined,
+      attributes: variant ? variant.attributes : undefined,
+      blogPostId
+    });
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + item.lineTotal, 0);
+  let deliveryFee = subtotal >= FREE_DELIVERY_MIN_SUBTOTAL ? 0 : DELIVERY_FEE;
+  if (items.some(isExpressItem)) {
+    deliveryFee += EXPRESS_DELIVERY_FEE;
+  }
+
+  return { items, subtotal, deliveryFee, discount: 0, total: subtotal + deliveryFee };
+};
+
+// Reserve stock and redeem the coupon, then create and save an order for a
+// user from priced items (see applyCoupon for priced.coupon).
+// Online payments start in 'Pending payment' and get a payment intent.
+// Returns { order, payment }, or { status, error } when the address, stock,
+// coupon or delivery slot is not available, or 7m items cannot be delivered
+// to the address.
+const createOrder = async (userId, priced, { paymentMethod = 'cod', addressId, deliverySlot }) => {
+  const shippingAddress = await findShippingAddress(userId, addressId);
+  if (!shippingAddress) {
+    return { status: 400, code: 'UNKNOWN_ADDRESS', error: 'Address not found in your address book' };
+  }
+
+  // 7m items ship from the dark store covering the delivery pincode
+  const expressItems = priced.items.filter(isExpressItem);
+  let store = null;
+  if (expressItems.length > 0) {
+    store = await findStoreForPincode(shippingAddress.zipCode);
+    if (!store) {
+      return {
+        status: 400,
+        code: 'NOT_SERVICEABLE',
+        error: '7-minute delivery is not available at this address',
+        productIds: expressItems.map(item => item.productId)
+      };
+    }
+  }
+  const storeId = store ? store.id : undefined;
+
+  const estimate = estimateDelivery(priced.items, shippingAddress.zipCode, store);
+  if (deliverySlot) {
+    const slotCheck = checkSlot(deliverySlot, estimate);
+    if (slotCheck.error) {
+      return slotCheck;
+    }
+  }
+
+  const orderId = `ORD${Date.now()}${crypto.randomInt(100, 1000)}`;
+
+  const reservation = await reserveStock(priced.items, orderId, storeId);
+  if (reservation.error) {
+    return reservation;
+  }
+  const returnStock = () => restockItems(priced.items, storeId, 'order rollback', orderId);
+
+  // Each step below undoes the earlier ones when it fails or throws
+  if (priced.coupon) {
+    let redemption;
+    try {
+      redemption = await redeemCoupon(priced.coupon, userId, orderId, priced.discount);
+    } catch (err) {
+      await returnStock();
+      throw err;
+    }
+    if (redemption.error) {
+      await returnStock();
+      return redemption;
+    }
+  }
+
+  if (deliverySlot) {
+    let booking;
+    try {
+      booking = await bookSlot(deliverySlot);
+    } catch (err) {
+      await returnStock();
+      await releaseCoupon(orderId);
+      throw err;
+    }
+    if (booking.error) {
+      await returnStock();
+      await releaseCoupon(orderId);
+      return booking;
+    }
+  }
+  const delivery = { ...estimate, slot: deliverySlot, slotBooked: Boolean(deliverySlot) };
+
+  const initialStatus = paymentMethod === 'cod' ? 'Placed' : 'Pending payment';
+  const placed = { status: initialStatus, at: new Date(), actor: String(userId), actorRole: 'customer' };
+  const order = new Order({
+    userId,
+    id: orderId,
+    date: new Date().toISOString(),
+    items: priced.items,
+    subtotal: priced.subtotal,
+    deliveryFee: priced.deliveryFee,
+    discount: priced.discount,
+    coupon: priced.coupon ? { couponId: priced.coupon._id, code: priced.coupon.code } : undefined,
+    total: priced.total,
+    status: initialStatus,
+    pendingUntil: initialStatus === 'Pending payment' ? paymentDeadline() : undefined,
+    statusHistory: [placed],
+    tracking: buildTracking([placed], delivery),
+    paymentMethod,
+    address: formatAddress(shippingAddress),
+    shippingAddress,
+    stockReserved: true,
+    storeId,
+    delivery
+  });
+
+  try {
+    await order.save();
+  } catch (err) {
+    await returnStock();
+    await releaseCoupon(orderId);
+    if (deliverySlot) {
+      await unbookSlot(deliverySlot);
+    }
+    throw err;
+  }
+
+  // Update user's order count
+  await User.findByIdAndUpdate(userId, { $inc: { orders: 1 } });
+  emitEvent('order.created', { userId: String(userId), order });
+
+  if (initialStatus === 'Placed') {
+    return { order, payment: null };
+  }
+
+  // If the provider cannot create the payment, do not leave a dead order holding stock
+  try {
+    const payment = await startPayment(order);
+    return { order, payment };
+  } catch (err) {
+    await transitionOrder(order, 'Cancelled', { userId: 'system', role: 'system' }, {
+      cancellationReason: { reason: 'Payment could not be started' }
+    });
+    throw err;
+  }
+};
+
+const createOrderSchema = z.object({
+  items: z.array(z.object({
+    productId: objectId,
+    variantId: objectId.optional(),
+    quantity: positiveInt,
+    blogPostId: objectId.optional()
+  })).min(1, 'Order must contain at least one item'),
+  paymentMethod: z.enum(PAYMENT_METHODS).default('cod'),
+  addressId: objectId,
+  deliverySlot: slotSchema.optional(),
+  couponCode: text(50).optional()
+});
+
+// Create new order - body: { items: [{ productId, quantity }], paymentMethod, addressId, deliverySlot }
+app.post('/api/orders', authenticateToken, validate({ body: createOrderSchema }), async (req, res, next) => {
+  try {
+    const { items, paymentMethod, addressId, deliverySlot, couponCode } = req.body;
+
+    const priced = await applyCoupon(await priceOrderItems(items), couponCode, req.user.userId);
+    if (priced.error) {
+      return sendResultError(res, priced);
+    }
+
+    const result = await createOrder(req.user.userId, priced, { paymentMethod, addressId, deliverySlot });
+    if (result.error) {
+      return sendResultError(res, result);
+    }
+    const { order, payment } = result;
+
+    res.status(201).json({ ...order.toJSON(), payment });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const cancellationReasonSchema = z.object({
+  reason: text(100).optional(),
+  comment: text(1000).optional()
+});
+
+const updateOrderStatusSchema = z.object({
+  status: z.enum(ORDER_STATUSES),
+  note: text(500).optional(),
+  cancellationReason: cancellationReasonSchema.optional()
+});
+
+// Update order status - customers may only cancel their own order
+app.put('/api/orders/:id', authenticateToken, validate({ params: idParams, body: updateOrderStatusSchema }), async (req, res, next) => {
+  try {
+    const { status, cancellationReason } = req.body;
+
+    const order = await Order.findOne({ _id: req.params.id, userId: req.user.userId });
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+
+    const result = await transitionOrder(
+      order,
+      status,
+      { userId: req.user.userId, role: 'customer' },
+      { cancellationReason }
+    );
+    if (result.error) {
+      return sendResultError(res, result);
+    }
+
+    res.json(result.order);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ========== RETURNS & REFUNDS ==========
+// Days after delivery during which items can be returned
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 7;
+
+// Return requests that no longer count against the returnable quantity
+const CLOSED_RETURN_STATUSES = ['rejected'];
+
+// Allowed return status changes made by staff
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['pickup_scheduled', 'received'],
+  pickup_scheduled: ['pickup_scheduled', 'received'],
+  received: [],
+  rejected: [],
+  refunded: []
+};
+
+// Move a return to a new status if allowed, recording who did it.
+// The update only applies if the return is still in the status we checked.
+const transitionReturn = async (returnRequest, toStatus, actor, update = {}, note) => {
+  if (!RETURN_TRANSITIONS[returnRequest.status].includes(toStatus)) {
+    return { status: 409, code: 'INVALID_TRANSITION', error: `Cannot change return from ${returnRequest.status} to ${toStatus}` };
+  }
+
+  const updated = await ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: returnRequest.status },
+    {
+      $set: { ...update, status: toStatus },
+      $push: { history: { status: toStatus, at: new Date(), actor, note } }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return { status: 409, error: 'Return was updated by someone else, please retry' };
+  }
+  return { returnRequest: updated };
+};
+
+// Units of each order line (see lineKey) already covered by open or completed returns
+const returnedQuantities = async (orderId) => {
+  const returns = await ReturnRequest.find({ orderId: String(orderId), status: { $nin: CLOSED_RETURN_STATUSES } });
+  const quantities = new Map();
+  for (const returnRequest of returns) {
+    for (const item of returnRequest.items) {
+      quantities.set(lineKey(item), (quantities.get(lineKey(item)) || 0) + item.quantity);
+    }
+  }
+  return quantities;
+};
+
+const createReturnSchema = z.object({
+  items: z.array(z.object({ productId: objectId, variantId: objectId.optional(), quantity: positiveInt })).min(1, 'Select at least one item'),
+  reason: requiredText(100),
+  comment: text(1000).optional()
+});
+
+// Request a return of some delivered items
+app.post('/api/orders/:id/returns', authenticateToken, validate({ params: idParams, body: createReturnSchema }), async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, userId: req.user.userId });
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+    if (order.status !== 'Delivered') {
+      return sendError(res, 409, 'Only delivered orders can be returned', { code: 'NOT_RETURNABLE' });
+    }
+
+    const delivered = order.statusHistory.find(entry => entry.status === 'Delivered');
+    const windowEnds = new Date(delivered.at.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (new Date() > windowEnds) {
+      return sendError(res, 409, `Returns are accepted up to ${RETURN_WINDOW_DAYS} days after delivery`, { code: 'RETURN_WINDOW_CLOSED' });
+    }
+
+    const alreadyReturned = await returnedQuantities(order._id);
+    const items = [];
+    for (const { productId, variantId, quantity } of req.body.items) {
+      const key = lineKey({ productId, variantId });
+      const orderItem = order.items.find(item => lineKey(item) === key);
+      if (!orderItem) {
+        return sendError(res, 400, `Product ${productId} is not part of this order`, { code: 'NOT_RETURNABLE' });
+      }
+      const returnable = orderItem.quantity - (alreadyReturned.get(key) || 0);
+      if (quantity > returnable) {
+        return sendError(res, 400, `Only ${returnable} of ${orderItem.name} can be returned`, { code: 'NOT_RETURNABLE' });
+      }
+      items.push({ productId, variantId, name: orderItem.name, price: orderItem.price, quantity });
+    }
+
+    const returnRequest = await ReturnRequest.create({
+      orderId: order._id,
+      userId: req.user.userId,
+      items,
+      reason: req.body.reason,
+      comment: req.body.comment,
+      history: [{ status: 'requested', at: new Date(), actor: req.user.userId }]
+    });
+
+    res.status(201).json(returnRequest);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET return requests for an order
+app.get('/api/orders/:id/returns', authenticateToken, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const returns = await ReturnRequest.find({ orderId: req.params.id, userId: req.user.userId }).sort({ createdAt: 1 });
+    res.json(returns);
+  } catch (err) {
+    next(err);
+  }
+});
+
+const RETURN_STATUSES = ReturnRequest.schema.path('status').enumValues;
+
+// GET return requests (staff and admin)
+app.get('/api/admin/returns', authenticateToken, authorizeRoles('staff', 'admin'), validate({ query: z.object({ status: z.enum(RETURN_STATUSES).optional() }) }), async (req, res, next) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const returns = await ReturnRequest.find(filter).sort({ createdAt: 1 });
+    res.json(returns);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Look up a return for the admin routes below, or answer 404
+const findReturn = async (req, res) => {
+  const returnRequest = await ReturnRequest.findById(req.params.id);
+  if (!returnRequest) {
+    sendError(res, 404, 'Return not found');
+  }
+  return returnRequest;
+};
+
+// Approve or reject a return (staff and admin)
+app.put('/api/admin/returns/:id/decision', authenticateToken, authorizeRoles('staff', 'admin'), validate({ params: idParams, body: z.object({ decision: z.enum(['approved', 'rejected']), note: text(500).optional() }) }), async (req, res, next) => {
+  try {
+    const returnRequest = await findReturn(req, res);
+    if (!returnRequest) return;
+
+    const result = await transitionReturn(returnRequest, req.body.decision, req.user.userId, {}, req.body.note);
+    if (result.error) {
+      return sendResultError(res, result);
+    }
+    res.json(result.returnRequest);
+  } catch (err) {
+    next(err);
+  }
+});
+
+const schedulePickupSchema = z.object({
+  scheduledFor: z.coerce.date(),
+  note: text(500).optional()
+});
+
+// Schedule (or reschedule) the pickup of an approved return (staff and admin)
+app.put('/api/admin/returns/:id/pickup', authenticateToken, authorizeRoles('staff', 'admin'), validate({ params: idParams, body: schedulePickupSchema }), async (req, res, next) => {
+  try {
+    const returnRequest = await findReturn(req, res);
+    if (!returnRequest) return;
+
+    const { scheduledFor, note } = req.body;
+    const result = await transitionReturn(returnRequest, 'pickup_scheduled', req.user.userId, { pickup: { scheduledFor, note } }, note);
+    if (result.error) {
+      return sendResultError(res, result);
+    }
+    res.json(result.returnRequest);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Mark returned items as received and put them back in stock (staff and admin)
+app.put('/api/admin/returns/:id/received', authenticateToken, authorizeRoles('staff', 'admin'), validate({ params: idParams, body: z.object({ note: text(500).optional() }) }), async (req, res, next) => {
+  try {
+    const returnRequest = await findReturn(req, res);
+    if (!returnRequest) return;
+
+    const result = await transitionReturn(returnRequest, 'received', req.user.userId, {}, req.body.note);
+    if (result.error) {
+      return sendResultError(res, result);
+    }
+
+    const order = await Order.findById(returnRequest.orderId);
+    for (const item of returnRequest.items) {
+      // 7m items go back to the dark store they came from
+      const orderItem = order && order.items.find(ordered => lineKey(ordered) === lineKey(item));
+      const source = orderItem ? stockSource(orderItem, order.storeId) : null;
+      const stockAfter = await putStock(item, source);
+      if (stockAfter !== null) {
+        await StockAdjustment.create({
+          productId: item.productId,
+          storeId: source || undefined,
+          variantId: item.variantId,
+          change: item.quantity,
+          stockAfter,
+          reason: 'return',
+          orderId: order && order.id,
+          adjustedBy: req.user.userId
+        });
+      }
+    }
+
+    // Once every unit has come back, the whole order is Returned
+    if (order && order.status === 'Delivered') {
+      const received = await ReturnRequest.find({ orderId: returnRequest.orderId, status: { $in: ['received', 'refunded'] } });
+      const receivedUnits = received.reduce((sum, r) => sum + r.items.reduce((units, item) => units + item.quantity, 0), 0);
+      const orderedUnits = order.items.reduce((sum, item) => sum + item.quantity, 0);
+      if (receivedUnits >= orderedUnits) {
+        await transitionOrder(order, 'Returned', { userId: 'system', role: 'system' }, { note: 'All items returned' });
+      }
+    }
+
+    res.json(result.returnRequest);
+  } catch (err) {
+    next(err);
+  }
+});
+
+const issueRefundSchema = z.object({
+  amount: z.number().positive().optional(),
+  reason: requiredText(200),
+  returnId: objectId.optional()
+});
+
+// Whether money was taken for an order: a successful online payment, cash
+// collected on delivery, or an order from before payments were recorded
+const isOrderPaid = (order, payments) => {
+  if (payments.some(payment => payment.status === 'succeeded')) return true;
+  if (order.paymentMethod === 'cod') {
+    return ['Delivered', 'Returned'].includes(order.status) || (order.statusHistory || []).some(entry => entry.status === 'Delivered');
+  }
+  return payments.length === 0 && order.status !== 'Pending payment';
+};
+
+// Issue a full or partial refund on an order (admin only).
+// Without an amount, refunds the value of the return, or what is left of the order total.
+app.post('/api/admin/orders/:id/refunds', authenticateToken, authorizeRoles('admin'), validate({ params: idParams, body: issueRefundSchema }), async (req, res, next) => {
+  try {
+    const { reason, returnId } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+
+    let returnRequest = null;
+    if (returnId) {
+      returnRequest = await ReturnRequest.findOne({ _id: returnId, orderId: order._id });
+      if (!returnRequest) {
+        return sendError(res, 404, 'Return not found');
+      }
+      // Refund returns once the items are back
+      if (returnRequest.status !== 'received') {
+        return sendError(res, 409, `Cannot refund a return that is ${returnRequest.status}`, { code: 'INVALID_TRANSITION' });
+      }
+    }
+
+    const remaining = order.total - (order.refundedTotal || 0);
+    const returnValue = returnRequest && returnRequest.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const amount = req.body.amount || Math.min(returnValue || remaining, remaining);
+    if (amount <= 0 || amount > remaining) {
+      return sendError(res, 400, `Refund must be between 0 and ${remaining}`, { code: 'INVALID_REFUND_AMOUNT' });
+    }
+
+    const payments = await Payment.find({ orderId: order._id });
+    if (!isOrderPaid(order, payments)) {
+      return sendError(res, 409, 'Order was never paid', { code: 'NOT_PAID' });
+    }
+    const payment = payments.find(candidate => candidate.status === 'succeeded');
+    const refund = {
+      _id: new mongoose.Types.ObjectId(),
+      amount,
+      reason,
+      returnId,
+      method: payment ? payment.provider : 'manual',
+      status: payment ? 'pending' : 'processed',
+      issuedBy: req.user.userId,
+      createdAt: new Date()
+    };
+
+    // Claim the return first so two calls cannot both refund it
+    if (returnRequest) {
+      const claimed = await ReturnRequest.findOneAndUpdate(
+        { _id: returnRequest._id, status: 'received' },
+        { $set: { status: 'refunded' }, $push: { history: { status: 'refunded', at: new Date(), actor: req.user.userId } } }
+      );
+      if (!claimed) {
+        return sendError(res, 409, 'Return is already being refunded', { code: 'INVALID_TRANSITION' });
+      }
+    }
+    const releaseReturn = async () => {
+      if (returnRequest) {
+        await ReturnRequest.updateOne({ _id: returnRequest._id, status: 'refunded' }, { $set: { status: 'received' }, $pop: { history: 1 } });
+      }
+    };
+
+    // Reserve the amount so two refunds cannot exceed the order total
+    const reserved = await Order.findOneAndUpdate(
+      { _id: order._id, $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedTotal', 0] }, amount] }, '$total'] } },
+      { $inc: { refundedTotal: amount }, $push: { refunds: refund } },
+      { new: true }
+    );
+    if (!reserved) {
+      await releaseReturn();
+      return sendError(res, 409, 'Refund would exceed the order total', { code: 'INVALID_REFUND_AMOUNT' });
+    }
+
+    if (payment) {
+      try {
+        const { providerRefundId } = await paymentProviders[payment.provider].refund({ payment, amount });
+        await Order.updateOne(
+          { _id: order._id, 'refunds._id': refund._id },
+          { $set: { 'refunds.$.status': 'processed', 'refunds.$.providerRefundId': providerRefundId } }
+        );
+      } catch (err) {
+        await Order.updateOne(
+          { _id: order._id, 'refunds._id': refund._id },
+          { $set: { 'refunds.$.status': 'failed' }, $inc: { refundedTotal: -amount } }
+        );
+        await releaseReturn();
+        throw err;
+      }
+    }
+
+    res.status(201).json(await Order.findById(order._id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ========== COUPONS ==========
+// Check a coupon against priced items and work out the discount.
+// Returns { coupon, discount }, or { status, error } when it cannot be used.
+const evaluateCoupon = async (code, priced, userId) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  const now = new Date();
+  if (!coupon || !coupon.active) {
+    return { status: 400, code: 'INVALID_COUPON', error: 'Coupon code is not valid' };
+  }
+  if ((coupon.startsAt && coupon.startsAt > now) || (coupon.expiresAt && coupon.expiresAt < now)) {
+    return { status: 400, code: 'INVALID_COUPON', error: 'Coupon is not active right now' };
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return { status: 400, code: 'COUPON_EXHAUSTED', error: 'Coupon usage limit reached' };
+  }
+  if (coupon.perUserLimit && userId) {
+    const used = await CouponRedemption.countDocuments({ couponId: coupon._id, userId: String(userId), voidedAt: null });
+    if (used >= coupon.perUserLimit) {
+      return { status: 400, code: 'COUPON_EXHAUSTED', error: 'You have already used this coupon' };
+    }
+  }
+  if (priced.subtotal < (coupon.minOrderValue || 0)) {
+    return { status: 400, code: 'COUPON_MIN_ORDER', error: `Add items worth ₹${coupon.minOrderValue - priced.subtotal} more to use this coupon` };
+  }
+
+  const restricted = coupon.categories.length > 0 || coupon.productIds.length > 0;
+  const eligibleSubtotal = priced.items
+    .filter(item => !restricted || coupon.categories.includes(item.category) || coupon.productIds.includes(item.productId))
+    .reduce((sum, item) => sum + item.lineTotal, 0);
+  if (eligibleSubtotal === 0) {
+    return { status: 400, code: 'COUPON_NOT_APPLICABLE', error: 'Coupon does not apply to these items' };
+  }
+
+  let discount = coupon.type === 'percentage'
+    ? Math.round(eligibleSubtotal * coupon.value) / 100
+    : coupon.value;
+  if (coupon.type === 'percentage' && coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = Math.min(discount, eligibleSubtotal);
+
+  return { coupon, discount };
+};
+
+// Apply an optional coupon code to priced items (or pass an error result through)
+const applyCoupon = async (priced, code, userId) => {
+  if (priced.error || !code) {
+    return priced;
+  }
+  const evaluation = await evaluateCoupon(code, priced, userId);
+  if (evaluation.error) {
+    return evaluation;
+  }
+  return {
+    ...priced,
+    coupon: evaluation.coupon,
+    discount: evaluation.discount,
+    total: priced.subtotal + priced.deliveryFee - evaluation.discount
+  };
+};
+
+// Count a coupon use for an order. Both limits are enforced atomically: the
+// per-user one by taking a free redemption slot, the usage limit on usedCount.
+const redeemCoupon = async (coupon, userId, orderId, discount) => {
+  const redemption = { couponId: coupon._id, code: coupon.code, userId: String(userId), orderId, discount };
+  if (coupon.perUserLimit) {
+    const held = await CouponRedemption.find({ couponId: coupon._id, userId: String(userId), slot: { $exists: true } }, { slot: 1 });
+    const taken = new Set(held.map(entry => entry.slot));
+    redemption.slot = Array.from({ length: coupon.perUserLimit }, (unused, index) => index + 1).find(slot => !taken.has(slot));
+    if (!redemption.slot) {
+      return { status: 409, code: 'COUPON_EXHAUSTED', error: 'You have already used this coupon' };
+    }
+  }
+
+  let created;
+  try {
+    created = await CouponRedemption.create(redemption);
+  } catch (err) {
+    if (err.code === 11000) {
+      return { status: 409, code: 'COUPON_EXHAUSTED', error: 'You have already used this coupon' };
+    }
+    throw err;
+  }
+
+  const filter = { _id: coupon._id, active: true };
+  if (coupon.usageLimit) {
+    filter.usedCount = { $lt: coupon.usageLimit };
+  }
+  const updated = await Coupon.findOneAndUpdate(filter, { $inc: { usedCount: 1 } });
+  if (!updated) {
+    await CouponRedemption.deleteOne({ _id: created._id });
+    return { status: 409, code: 'COUPON_EXHAUSTED', error: 'Coupon usage limit reached' };
+  }
+  return {};
+};
+
+// Number the standing redemptions made before slots existed, so they count
+// against perUserLimit in redeemCoupon
+const migrateCouponRedemptionSlots = async () => {
+  const legacy = await CouponRedemption.find({ voidedAt: null, slot: { $exists: false } }).sort({ createdAt: 1 });
+  const nextSlot = new Map();
+  for (const redemption of legacy) {
+    const key = `${redemption.couponId}:${redemption.userId}`;
+    const slot = nextSlot.get(key) || 1;
+    nextSlot.set(key, slot + 1);
+    await CouponRedemption.updateOne({ _id: redemption._id }, { slot });
+  }
+
+  if (legacy.length > 0) {
+    console.log(`Numbered ${legacy.length} coupon redemptions`);
+  }
+};
+
+// Give a coupon use back when its order is cancelled. Safe to call more than once.
+const releaseCoupon = async (orderId) => {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { orderId, voidedAt: null },
+    { voidedAt: new Date(), $unset: { slot: '' } }
+  );
+  if (redemption) {
+    await Coupon.updateOne({ _id: redemption.couponId }, { $inc: { usedCount: -1 } });
+  }
+};
+
+const validateCouponSchema = z.object({
+  code: requiredText(50),
+  // Items to check against; the caller's cart is used when omitted
+  items: createOrderSchema.shape.items.optional()
+});
+
+// Check a coupon code against the cart (or the given items) and preview the discount
+app.post('/api/coupons/validate', optionalAuth, validate({ body: validateCouponSchema }), async (req, res, next) => {
+  try {
+    let items = req.body.items;
+    if (!items) {
+      const cart = await findCart(req);
+      if (!cart || cart.items.length === 0) {
+        return sendError(res, 400, 'Cart is empty');
+      }
+      items = cart.items.map(({ productId, variantId, quantity }) => ({ productId, variantId, quantity }));
+    }
+
+    const priced = await applyCoupon(await priceOrderItems(items), req.body.code, req.user && req.user.userId);
+    if (priced.error) {
+      return sendResultError(res, priced);
+    }
+
+    res.json({
+      code: priced.coupon.code,
+      description: priced.coupon.description,
+      subtotal: priced.subtotal,
+      deliveryFee: priced.deliveryFee,
+      discount: priced.discount,
+      total: priced.total
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const couponFields = {
+  code: z.string().trim().regex(/^[A-Za-z0-9_-]{3,30}$/, '3-30 letters, numbers, dashes or underscores'),
+  description: text(300).optional(),
+  type: z.enum(['percentage', 'flat']),
+  value: z.number().positive(),
+  maxDiscount: z.number().positive().optional(),
+  minOrderValue: z.number().min(0).optional(),
+  usageLimit: positiveInt.optional(),
+  perUserLimit: positiveInt.optional(),
+  startsAt: z.coerce.date().optional(),
+  expiresAt: z.coerce.date().optional(),
+  categories: z.array(requiredText(50)).optional(),
+  productIds: z.array(objectId).optional(),
+  active: z.boolean().optional()
+};
+
+// Rules across fields. Updates are checked against the coupon they produce,
+// since a body with only value or expiresAt says nothing about type or startsAt.
+const COUPON_RULES = [
+  {
+    valid: coupon => coupon.type !== 'percentage' || coupon.value === undefined || coupon.value <= 100,
+    field: 'value',
+    message: 'Percentage must be at most 100'
+  },
+  {
+    valid: coupon => !coupon.startsAt || !coupon.expiresAt || coupon.startsAt < coupon.expiresAt,
+    field: 'expiresAt',
+    message: 'Must be after startsAt'
+  }
+];
+
+const createCouponSchema = COUPON_RULES.reduce(
+  (schema, rule) => schema.refine(rule.valid, { message: rule.message, path: [rule.field] }),
+  z.object(couponFields)
+);
+const updateCouponSchema = z.object(couponFields).omit({ code: true }).partial();
+
+// GET all coupons (admin only)
+app.get('/api/admin/coupons', authenticateToken, authorizeRoles('admin'), async (req, res, next) => {
+  try {
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
+    res.json(coupons);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Redemption report per coupon (admin only)
+app.get('/api/admin/coupons/report', authenticateToken, authorizeRoles('admin'), async (req, res, next) => {
+  try {
+    const report = await CouponRedemption.aggregate([
+      { $match: { voidedAt: null } },
+      {
+        $group: {
+          _id: '$couponId',
+          code: { $first: '$code' },
+          redemptions: { $sum: 1 },
+          totalDiscount: { $sum: '$discount' },
+          users: { $addToSet: '$userId' },
+          lastRedeemedAt: { $max: '$createdAt' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          couponId: '$_id',
+          code: 1,
+          redemptions: 1,
+          totalDiscount: 1,
+          uniqueUsers: { $size: '$users' },
+          lastRedeemedAt: 1
+        }
+      },
+      { $sort: { redemptions: -1 } }
+    ]);
+    res.json(report);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET coupon with its redemptions (admin only)
+app.get('/api/admin/coupons/:id', authenticateToken, authorizeRoles('admin'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return sendError(res, 404, 'Coupon not found');
+    }
+    const redemptions = await CouponRedemption.find({ couponId: coupon._id }).sort({ createdAt: -1 });
+    res.json({ ...coupon.toObject(), redemptions });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST coupon (admin only)
+app.post('/api/admin/coupons', authenticateToken, authorizeRoles('admin'), validate({ body: createCouponSchema }), async (req, res, next) => {
+  try {
+    const coupon = new Coupon({ ...req.body, createdBy: req.user.userId });
+    await coupon.save();
+    res.status(201).json(coupon);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update coupon (admin only). The code itself cannot change.
+app.put('/api/admin/coupons/:id', authenticateToken, authorizeRoles('admin'), validate({ params: idParams, body: updateCouponSchema }), async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return sendError(res, 404, 'Coupon not found');
+    }
+
+    const changes = definedFields(req.body);
+    const updated = { ...coupon.toObject(), ...changes };
+    const details = COUPON_RULES
+      .filter(rule => !rule.valid(updated))
+      .map(({ field, message }) => ({ location: 'body', field, message }));
+    if (details.length > 0) {
+      return sendError(res, 400, 'Request validation failed', { code: 'VALIDATION_ERROR', details });
+    }
+
+    coupon.set(changes);
+    await coupon.save();
+    res.json(coupon);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete coupon (admin only). Used coupons are deactivated instead so the report keeps them.
+app.delete('/api/admin/coupons/:id', authenticateToken, authorizeRoles('admin'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return sendError(res, 404, 'Coupon not found');
+    }
+
+    if (await CouponRedemption.exists({ couponId: coupon._id })) {
+      coupon.active = false;
+      await coupon.save();
+      return res.json({ message: 'Coupon has been used, so it was deactivated instead' });
+    }
+
+    await Coupon.deleteOne({ _id: coupon._id });
+    res.json({ message: 'Coupon deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ========== CART ROUTES ==========
+// Guests identify their cart with the X-Cart-Id header returned on first add.
+// Logged-in users always get their own persistent cart.
+const findCart = async (req, create = false) => {
+  if (req.user) {
+    return create ? userCart(req.user.userId) : Cart.findOne({ userId: req.user.userId });
+  }
+
+  const guestId = req.headers['x-cart-id'];
+  let cart = guestId ? await Cart.findOne({ guestId }) : null;
+  if (!cart && create) {
+    cart = await Cart.create({ guestId: crypto.randomUUID(), items: [] });
+  }
+  return cart;
+};
+
+// The user's cart, created on first use. A single upsert, so concurrent
+// first adds (or an add racing the guest merge at login) share one cart.
+const userCart = (userId) => Cart.findOneAndUpdate(
+  { userId: String(userId) },
+  { $setOnInsert: { items: [], updatedAt: new Date() } },
+  { upsert: true, new: true }
+);
+
+// Add units of a product (variant) to a cart, merging with an existing line.
+// The latest blog post the customer came from gets the credit.
+const addCartLine = (cart, { productId, variantId, quantity, blogPostId }) => {
+  const key = lineKey({ productId, variantId });
+  const existing = cart.items.find(item => lineKey(item) === key);
+  if (existing) {
+    existing.quantity += quantity;
+    if (blogPostId) existing.blogPostId = blogPostId;
+  } else {
+    cart.items.push({ productId, variantId, quantity, blogPostId });
+  }
+  cart.updatedAt = new Date();
+};
+
+// Merge an anonymous cart into the user's cart and delete the guest cart
+const mergeGuestCart = async (userId, guestId) => {
+  if (!guestId) return;
+
+  const guestCart = await Cart.findOne({ guestId });
+  if (!guestCart) return;
+
+  const cart = await userCart(userId);
+  for (const { productId, variantId, quantity, blogPostId } of guestCart.items) {
+    addCartLine(cart, { productId, variantId, quantity, blogPostId });
+  }
+
+  cart.updatedAt = new Date();
+  await cart.save();
+  await Cart.deleteOne({ _id: guestCart._id });
+};
+
+// Carts from before userId was unique can come in pairs: fold each user's
+// into their latest one, then rebuild the index as unique
+const migrateDuplicateCarts = async () => {
+  const duplicates = await Cart.aggregate([
+    { $match: { userId: { $type: 'string' } } },
+    { $group: { _id: '$userId', cartIds: { $push: '$_id' }, carts: { $sum: 1 } } },
+    { $match: { carts: { $gt: 1 } } }
+  ]);
+
+  for (const { cartIds } of duplicates) {
+    const [cart, ...others] = await Cart.find({ _id: { $in: cartIds } }).sort({ updatedAt: -1 });
+    for (const other of others) {
+      for (const { productId, variantId, quantity, blogPostId } of other.items) {
+        addCartLine(cart, { productId, variantId, quantity, blogPostId });
+      }
+    }
+    await cart.save();
+    await Cart.deleteMany({ _id: { $in: others.map(other => other._id) } });
+  }
+  await Cart.syncIndexes();
+
+  if (duplicates.length > 0) {
+    console.log(`Merged duplicate carts for ${duplicates.length} users`);
+  }
+};
+
+// Price every cart line from the current Product data
+const priceCart = async (cart) => {
+  const items = cart ? cart.items : [];
+  const products = await Product.find({ _id: { $in: items.map(item => item.productId) } });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const lines = [];
+  const unavailable = [];
+  for (const item of items) {
+    const product = productsById.get(item.productId);
+    const variant = product && item.variantId ? product.variants.id(item.variantId) : null;
+    if (!product || (item.variantId && !variant)) {
+      unavailable.push(item.productId);
+      continue;
+    }
+    const price = variant ? variant.price : product.price;
+    lines.push({
+      productId: item.productId,
+      variantId: item.variantId,
+      sku: variant ? variant.sku : undefined,
+      attributes: variant ? variant.attributes : undefined,
+      name: product.name,
+      img: (variant && variant.img) || product.img,
+      price,
+      deliveryTime: product.deliveryTime,
+      stockStatus: variant ? variantStockStatus(product, variant) : getStockStatus(product),
+      quantity: item.quantity,
+      lineTotal: price * item.quantity
+    });
+  }
+
+  return {
+    cartId: cart && !cart.userId ? cart.guestId : undefined,
+    items: lines,
+    unavailable,
+    itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+    subtotal: lines.reduce((sum, line) => sum + line.lineTotal, 0)
+  };
+};
+
+const isValidQuantity = (quantity) => Number.isInteger(quantity) && quantity > 0;
+
+// Get cart
+app.get('/api/cart', optionalAuth, async (req, res, next) => {
+  try {
+    const cart = await findCart(req);
+    res.json(await priceCart(cart));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Add item to cart. blogPostId credits the blog post the customer came from.
+const addCartItemSchema = z.object({
+  productId: objectId,
+  variantId: objectId.optional(),
+  quantity: positiveInt.default(1),
+  blogPostId: objectId.optional()
+});
+
+app.post('/api/cart/items', optionalAuth, validate({ body: addCartItemSchema }), async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.body.productId);
+    if (!product) {
+      return sendError(res, 404, 'Product not found');
+    }
+    const resolved = resolveVariant(product, req.body.variantId);
+    if (resolved.error) {
+      return sendResultError(res, resolved);
+    }
+
+    const cart = await findCart(req, true);
+    addCartLine(cart, req.body);
+    await cart.save();
+
+    res.status(201).json(await priceCart(cart));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update item quantity (0 removes the item). Lines of a variant need ?variantId=
+const cartItemParams = z.object({ productId: objectId });
+const cartItemQuery = z.object({ variantId: objectId.optional() });
+
+// The cart line a request points at
+const findCartLine = (cart, req) => {
+  const key = lineKey({ productId: req.params.productId, variantId: req.query.variantId });
+  return cart && cart.items.find(item => lineKey(item) === key);
+};
+
+app.put('/api/cart/items/:productId', optionalAuth, validate({ params: cartItemParams, query: cartItemQuery, body: z.object({ quantity: z.number().int().min(0) }) }), async (req, res, next) => {
+  try {
+    const { quantity } = req.body;
+
+    const cart = await findCart(req);
+    const item = findCartLine(cart, req);
+    if (!item) {
+      return sendError(res, 404, 'Item not in cart');
+    }
+
+    if (quantity === 0) {
+      cart.items.pull(item._id);
+    } else {
+      item.quantity = quantity;
+    }
+    cart.updatedAt = new Date();
+    await cart.save();
+
+    res.json(await priceCart(cart));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Remove item from cart
+app.delete('/api/cart/items/:productId', optionalAuth, validate({ params: cartItemParams, query: cartItemQuery }), async (req, res, next) => {
+  try {
+    const cart = await findCart(req);
+    const item = findCartLine(cart, req);
+    if (!item) {
+      return sendError(res, 404, 'Item not in cart');
+    }
+
+    cart.items.pull(item._id);
+    cart.updatedAt = new Date();
+    await cart.save();
+
+    res.json(await priceCart(cart));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Clear cart
+app.delete('/api/cart', optionalAuth, async (req, res, next) => {
+  try {
+    const cart = await findCart(req);
+    if (cart) {
+      cart.items = [];
+      cart.updatedAt = new Date();
+      await cart.save();
+    }
+    res.json(await priceCart(cart));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Merge a guest cart into the logged-in user's cart
+app.post('/api/cart/merge', authenticateToken, validate({ body: z.object({ cartId: z.string().optional() }) }), async (req, res, next) => {
+  try {
+    await mergeGuestCart(req.user.userId, req.headers['x-cart-id'] || req.body.cartId);
+    const cart = await findCart(req);
+    res.json(await priceCart(cart));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Checkout - turn the cart into an order
+app.post('/api/cart/checkout', authenticateToken, validate({ body: createOrderSchema.omit({ items: true }) }), async (req, res, next) => {
+  try {
+    const { paymentMethod, addressId, deliverySlot, couponCode } = req.body;
+
+    const cart = await findCart(req);
+    if (!cart || cart.items.length === 0) {
+      return sendError(res, 400, 'Cart is empty');
+    }
+
+    const priced = await applyCoupon(
+      await priceOrderItems(cart.items.map(({ productId, variantId, quantity, blogPostId }) => ({ productId, variantId, quantity, blogPostId }))),
+      couponCode,
+      req.user.userId
+    );
+    if (priced.error) {
+      return sendResultError(res, priced);
+    }
+
+    const result = await createOrder(req.user.userId, priced, { paymentMethod, addressId, deliverySlot });
+    if (result.error) {
+      return sendResultError(res, result);
+    }
+    const { order, payment } = result;
+
+    cart.items = [];
+    cart.updatedAt = new Date();
+    await cart.save();
+
+    res.status(201).json({ ...order.toJSON(), payment });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ========== WISHLIST ==========
+// Wishlist lines with live price and stock from Product
+const viewWishlist = async (wishlist) => {
+  const items = wishlist ? wishlist.items : [];
+  const products = await Product.find({ _id: { $in: items.map(item => item.productId) } });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const lines = [];
+  const unavailable = [];
+  for (const item of items) {
+    const product = productsById.get(item.productId);
+    if (!product) {
+      unavailable.push(item.productId);
+      continue;
+    }
+    const variant = item.variantId ? product.variants.id(item.variantId) : null;
+    const price = variant ? variant.price : product.price;
+    lines.push({
+      productId: item.productId,
+      variantId: variant ? item.variantId : undefined,
+      sku: variant ? variant.sku : undefined,
+      attributes: variant ? variant.attributes : undefined,
+      quantity: item.quantity,
+      name: product.name,
+      img: (variant && variant.img) || product.img,
+      price,
+      priceWhenAdded: item.priceWhenAdded,
+      priceDrop: Math.max(item.priceWhenAdded - price, 0),
+      deliveryTime: product.deliveryTime,
+      stock: variant ? variant.stock : product.stock,
+      stockStatus: variant ? variantStockStatus(product, variant) : getStockStatus(product),
+      addedAt: item.addedAt
+    });
+  }
+
+  return { items: lines, unavailable };
+};
+
+// Add a product to a user's wishlist, optionally as a chosen variant and
+// quantity. A product already there keeps its line, taking the new choice if one is given.
+const addToWishlist = async (userId, product, { variantId, quantity } = {}) => {
+  let wishlist = await Wishlist.findOne({ userId });
+  if (!wishlist) {
+    wishlist = new Wishlist({ userId, items: [] });
+  }
+  const existing = wishlist.items.find(item => item.productId === product.id);
+  if (existing && !variantId && !quantity) {
+    return wishlist;
+  }
+
+  if (existing) {
+    existing.variantId = variantId;
+    existing.quantity = quantity;
+  } else {
+    const variant = variantId ? product.variants.id(variantId) : null;
+    const price = variant ? variant.price : product.price;
+    wishlist.items.push({ productId: product.id, variantId, quantity, priceWhenAdded: price, lastSeenPrice: price });
+  }
+  wishlist.updatedAt = new Date();
+  await wishlist.save();
+  return wishlist;
+};
+
+// A product's line in the user's wishlist, or null
+const findWishlistLine = async (userId, productId) => {
+  const wishlist = await Wishlist.findOne({ userId, 'items.productId': productId }, { 'items.$': 1 });
+  return wishlist ? wishlist.items[0] : null;
+};
+
+// Remove a product from a user's wishlist. Returns the wishlist, or null if the product was not in it.
+const removeFromWishlist = async (userId, productId) => {
+  return Wishlist.findOneAndUpdate(
+    { userId, 'items.productId': productId },
+    { $pull: { items: { productId } }, updatedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Tell everyone whose wishlisted product is now cheaper than the price they last saw.
+// Called after a product's price changes.
+const notifyPriceDrop = async (product) => {
+  const wishlists = await Wishlist.find({
+    items: { $elemMatch: { productId: product.id, lastSeenPrice: { $gt: product.price } } }
+  });
+
+  for (const wishlist of wishlists) {
+    const item = wishlist.items.find(line => line.productId === product.id);
+    emitEvent('wishlist.price_drop', { userId: wishlist.userId, product, previousPrice: item.lastSeenPrice });
+    await Wishlist.updateOne(
+      { _id: wishlist._id, 'items.productId': product.id },
+      { $set: { 'items.$.lastSeenPrice': product.price } }
+    );
+  }
+};
+
+const wishlistItemParams = z.object({ productId: objectId });
+
+// Get wishlist
+app.get('/api/wishlist', authenticateToken, async (req, res, next) => {
+  try {
+    const wishlist = await Wishlist.findOne({ userId: req.user.userId });
+    res.json(await viewWishlist(wishlist));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Add a product (optionally a chosen variant) to the wishlist
+app.post('/api/wishlist/items', authenticateToken, validate({ body: z.object({ productId: objectId, variantId: objectId.optional() }) }), async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.body.productId);
+    if (!product) {
+      return sendError(res, 404, 'Product not found');
+    }
+    if (req.body.variantId) {
+      const resolved = resolveVariant(product, req.body.variantId);
+      if (resolved.error) {
+        return sendResultError(res, resolved);
+      }
+    }
+
+    const wishlist = await addToWishlist(req.user.userId, product, { variantId: req.body.variantId });
+    res.status(201).json(await viewWishlist(wishlist));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Remove a product from the wishlist
+app.delete('/api/wishlist/items/:productId', authenticateToken, validate({ params: wishlistItemParams }), async (req, res, next) => {
+  try {
+    const wishlist = await removeFromWishlist(req.user.userId, req.params.productId);
+    if (!wishlist) {
+      return sendError(res, 404, 'Item not in wishlist');
+    }
+    res.json(await viewWishlist(wishlist));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Move a wishlist item into the cart. variantId and quantity default to the
+// ones saved with the item; products with variants need one either way.
+const moveToCartSchema = z.object({ variantId: objectId.optional(), quantity: positiveInt.optional() });
+
+app.post('/api/wishlist/items/:productId/move-to-cart', authenticateToken, validate({ params: wishlistItemParams, body: moveToCartSchema }), async (req, res, next) => {
+  try {
+    const { productId } = req.params;
+    const line = await findWishlistLine(req.user.userId, productId);
+    if (!line) {
+      return sendError(res, 404, 'Item not in wishlist');
+    }
+    const variantId = req.body.variantId || line.variantId;
+    const quantity = req.body.quantity || line.quantity || 1;
+
+    const product = await Product.findById(productId);
+    if (product) {
+      const resolved = resolveVariant(product, variantId);
+      if (resolved.error) {
+        return sendResultError(res, resolved);
+      }
+    }
+
+    const wishlist = await removeFromWishlist(req.user.userId, productId);
+    if (!wishlist) {
+      return sendError(res, 404, 'Item not in wishlist');
+    }
+    if (!product) {
+      return sendError(res, 404, 'Product not found');
+    }
+
+    const cart = await findCart(req, true);
+    addCartLine(cart, { productId, variantId, quantity });
+    await cart.save();
+
+    res.json({ wishlist: await viewWishlist(wishlist), cart: await priceCart(cart) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Order a wishlist item straight away. It leaves the wishlist once the order is placed.
+app.post('/api/wishlist/items/:productId/order', authenticateToken, validate({ params: wishlistItemParams, body: createOrderSchema.omit({ items: true }).merge(moveToCartSchema) }), async (req, res, next) => {
+  try {
+    const { productId } = req.params;
+    const { paymentMethod, addressId, deliverySlot, couponCode } = req.body;
+
+    const line = await findWishlistLine(req.user.userId, productId);
+    if (!line) {
+      return sendError(res, 404, 'Item not in wishlist');
+    }
+    const variantId = req.body.variantId || line.variantId;
+    const quantity = req.body.quantity || line.quantity || 1;
+
+    const priced = await applyCoupon(await priceOrderItems([{ productId, variantId, quantity }]), couponCode, req.user.userId);
+    if (priced.error) {
+      return sendResultError(res, priced);
+    }
+
+    const result = await createOrder(req.user.userId, priced, { paymentMethod, addressId, deliverySlot });
+    if (result.error) {
+      return sendResultError(res, result);
+    }
+    const { order, payment } = result;
+
+    await removeFromWishlist(req.user.userId, productId);
+
+    res.status(201).json({ ...order.toJSON(), payment });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Save for later - move a cart item into the wishlist
+app.post('/api/cart/items/:productId/save-for-later', authenticateToken, validate({ params: cartItemParams, query: cartItemQuery }), async (req, res, next) => {
+  try {
+    const cart = await findCart(req);
+    const item = findCartLine(cart, req);
+    if (!item) {
+      return sendError(res, 404, 'Item not in cart');
+    }
+
+    const product = await Product.findById(item.productId);
+    if (!product) {
+      return sendError(res, 404, 'Product not found');
+    }
+
+    const wishlist = await addToWishlist(req.user.userId, product, { variantId: item.variantId, quantity: item.quantity });
+    cart.items.pull(item._id);
+    cart.updatedAt = new Date();
+    await cart.save();
+
+    res.json({ cart: await priceCart(cart), wishlist: await viewWishlist(wishlist) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ========== BLOG ROUTES ==========
+const BLOG_STATUSES = ['draft', 'published', 'scheduled'];
+
+// Posts readers can see right now. Scheduled posts go live by themselves
+// when publishedAt passes; nothing has to flip their status.
+const visiblePosts = () => ({
+  status: { $in: ['published', 'scheduled'] },
+  publishedAt: { $lte: new Date() }
+});
+
+// URL slug from a title, e.g. "Top 5 Laptops in 2024!" -> "top-5-laptops-in-2024"
+const slugify = (title) => {
+  return title
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '') || 'post';
+};
+
+// First free slug of base, base-2, base-3, ... ignoring the post being edited
+const uniqueSlug = async (base, excludeId) => {
+  for (let suffix = 1; ; suffix++) {
+    const slug = suffix === 1 ? base : `${base}-${suffix}`;
+    const filter = excludeId ? { slug, _id: { $ne: excludeId } } : { slug };
+    if (!(await BlogPost.exists(filter))) {
+      return slug;
+    }
+  }
+};
+
+// Check a status/publishedAt pair. Published posts default to now;
+// scheduled posts need a future publish time.
+// Returns { status, publishedAt } or { status: 400, error }.
+const resolvePublishing = (status, publishedAt) => {
+  const now = new Date();
+  if (status === 'scheduled') {
+    if (!publishedAt || publishedAt <= now) {
+      return { status: 400, error: 'Scheduled posts need a publishedAt in the future' };
+    }
+    return { status, publishedAt };
+  }
+  if (status === 'published') {
+    if (publishedAt && publishedAt > now) {
+      return { status: 400, error: 'Use status scheduled to publish in the future' };
+    }
+    return { status, publishedAt: publishedAt || now };
+  }
+  return { status, publishedAt: publishedAt || null };
+};
+
+// Live summaries of the products featured in a post. Deleted products are left out.
+const postProducts = async (post) => {
+  if (!post.productIds || post.productIds.length === 0) return [];
+  const products = await Product.find({ _id: { $in: post.productIds } });
+  const productsById = new Map(products.map(product => [product.id, product]));
+  return post.productIds.filter(productId => productsById.has(productId)).map(productId => {
+    const product = productsById.get(productId);
+    return {
+      id: product.id,
+      name: product.name,
+      img: product.img,
+      price: product.price,
+      rating: product.rating,
+      reviews: product.reviews,
+      deliveryTime: product.deliveryTime,
+      stock: product.stock,
+      stockStatus: getStockStatus(product)
+    };
+  });
+};
+
+// A single post as returned by the API, with its author and products
+const viewPost = async (blogPost) => {
+  const [post] = await withAuthors([blogPost]);
+  return { ...post, products: await postProducts(blogPost) };
+};
+
+// Products a post may feature. Returns {} or { status, code, error, productIds }.
+const checkPostProducts = async (productIds) => {
+  if (!productIds || productIds.length === 0) return {};
+  const found = await Product.find({ _id: { $in: productIds } }, { _id: 1 });
+  const foundIds = new Set(found.map(product => product.id));
+  const unknown = productIds.filter(productId => !foundIds.has(productId));
+  if (unknown.length > 0) {
+    return { status: 400, code: 'UNKNOWN_PRODUCTS', error: 'Unknown products in post', productIds: unknown };
+  }
+  return {};
+};
+
+// Posts as returned by the API, with author { id, name } from the User
+const withAuthors = async (posts) => {
+  const authorIds = [...new Set(posts.map(post => post.authorId).filter(Boolean))];
+  const authors = await User.find({ _id: { $in: authorIds } }, { firstName: 1, lastName: 1 });
+  const authorsById = new Map(authors.map(author => [author.id, author]));
+
+  return posts.map(post => {
+    const author = authorsById.get(post.authorId);
+    return {
+      ...post.toObject(),
+      author: {
+        id: author ? author.id : null,
+        name: author ? [author.firstName, author.lastName].filter(Boolean).join(' ') : post.authorName || null
+      }
+    };
+  });
+};
+
+// Posts written before the CMS kept the date and author as plain strings and
+// had no slug or status. They were all public, so they become published posts.
+const migrateLegacyBlogPosts = async () => {
+  const legacyPosts = await BlogPost.collection.find({
+    $or: [{ slug: { $exists: false } }, { date: { $exists: true } }, { author: { $exists: true } }]
+  }).toArray();
+
+  for (const legacy of legacyPosts) {
+    const created = legacy._id.getTimestamp();
+    const dated = legacy.date ? new Date(legacy.date) : null;
+    const set = {
+      slug: legacy.slug || await uniqueSlug(slugify(legacy.title || ''), legacy._id),
+      status: legacy.status || 'published',
+      publishedAt: legacy.publishedAt || (dated && !isNaN(dated) ? dated : created),
+      tags: legacy.tags || [],
+      createdAt: legacy.createdAt || created,
+      updatedAt: legacy.updatedAt || created
+    };
+    if (legacy.author && !legacy.authorName) {
+      set.authorName = legacy.author;
+    }
+    await BlogPost.collection.updateOne({ _id: legacy._id }, { $set: set, $unset: { date: '', author: '' } });
+  }
+
+  if (legacyPosts.length > 0) {
+    console.log(`Migrated ${legacyPosts.length} blog posts`);
+  }
+};
+
+const blogListQuery = z.object({
+  q: text(200).optional(),
+  category: text(50).optional(),
+  tag: text(30).optional(),
+  ...pageQuery
+});
+
+// Paginated listing with search. baseFilter() gives the filter to start from
+// for each request; the category route passes its category through req.params.
+const listBlogPosts = (baseFilter) => async (req, res, next) => {
+  try {
+    const { q, tag, page, limit } = req.query;
+    const category = req.params.category || req.query.category;
+
+    const filter = { ...baseFilter() };
+    if (q) filter.$text = { $search: q };
+    if (category) filter.category = category;
+    if (tag) filter.tags = tag.toLowerCase();
+
+    const projection = q ? { score: { $meta: 'textScore' } } : {};
+    const sort = q ? { score: { $meta: 'textScore' }, publishedAt: -1 } : { publishedAt: -1, _id: -1 };
+    const [posts, total] = await Promise.all([
+      BlogPost.find(filter, projection).sort(sort).skip((page - 1) * limit).limit(limit),
+      BlogPost.countDocuments(filter)
+    ]);
+
+    res.json({
+      posts: await withAuthors(posts),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET published blog posts - ?q=&category=&tag=&page=&limit=
+app.get('/api/blog', validate({ query: blogListQuery }), listBlogPosts(visiblePosts));
+
+// GET published blog posts by category
+app.get('/api/blog/category/:category', validate({ params: z.object({ category: requiredText(50) }), query: blogListQuery }), listBlogPosts(visiblePosts));
+
+// GET published blog post by slug. Ids still work for links made before slugs.
+app.get('/api/blog/:slug', validate({ params: z.object({ slug: requiredText(100) }) }), async (req, res, next) => {
+  try {
+    const { slug } = req.params;
+    let blogPost = await BlogPost.findOne({ ...visiblePosts(), slug });
+    if (!blogPost && mongoose.isValidObjectId(slug)) {
+      blogPost = await BlogPost.findOne({ ...visiblePosts(), _id: slug });
+    }
+    if (!blogPost) {
+      return sendError(res, 404, 'Blog post not found');
+    }
+    res.json(await viewPost(blogPost));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Record a click from a post through to one of its products
+app.post('/api/blog/:slug/clicks', optionalAuth, validate({ params: z.object({ slug: requiredText(100) }), body: z.object({ productId: objectId }) }), async (req, res, next) => {
+  try {
+    const blogPost = await BlogPost.findOne({ ...visiblePosts(), slug: req.params.slug });
+    if (!blogPost) {
+      return sendError(res, 404, 'Blog post not found');
+    }
+
+    await BlogClick.create({
+      postId: blogPost.id,
+      productId: req.body.productId,
+      userId: req.user ? req.user.userId : undefined
+    });
+
+    // Send blogPostId with the add-to-cart or order so the sale is credited to the post
+    res.status(201).json({ blogPostId: blogPost.id });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET published posts featuring a product
+app.get('/api/products/:id/articles', validate({ params: idParams, query: z.object(pageQuery) }), async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const filter = { ...visiblePosts(), productIds: req.params.id };
+    const [posts, total] = await Promise.all([
+      BlogPost.find(filter).sort({ publishedAt: -1 }).skip((page - 1) * limit).limit(limit),
+      BlogPost.countDocuments(filter)
+    ]);
+
+    res.json({
+      posts: await withAuthors(posts),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const blogPostFields = {
+  title: requiredText(200),
+  slug: z.string().max(100).regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Lower case letters, numbers and dashes only').optional(),
+  excerpt: text(500).optional(),
+  content: requiredText(50000),
+  category: text(50).optional(),
+  tags: z.array(requiredText(30).toLowerCase()).max(20).transform(tags => [...new Set(tags)]).optional(),
+  image: text(500).optional(),
+  productIds: z.array(objectId).max(20).transform(ids => [...new Set(ids)]).optional(),
+  status: z.enum(BLOG_STATUSES).default('draft'),
+  publishedAt: z.coerce.date().optional()
+};
+
+const createBlogPostSchema = z.object(blogPostFields);
+
+// POST new blog post (staff and admin). The author is the logged-in user.
+app.post('/api/blog', authenticateToken, authorizeRoles('staff', 'admin'), validate({ body: createBlogPostSchema }), async (req, res, next) => {
+  try {
+    const { slug, status, publishedAt, ...fields } = req.body;
+
+    const publishing = resolvePublishing(status, publishedAt);
+    if (publishing.error) {
+      return sendResultError(res, publishing);
+    }
+    if (slug && await BlogPost.exists({ slug })) {
+      return sendError(res, 409, 'Blog post already exists with this slug');
+    }
+    const productCheck = await checkPostProducts(fields.productIds);
+    if (productCheck.error) {
+      return sendResultError(res, productCheck);
+    }
+
+    const blogPost = new BlogPost({
+      ...fields,
+      ...publishing,
+      slug: slug || await uniqueSlug(slugify(fields.title)),
+      authorId: req.user.userId
+    });
+    await blogPost.save();
+
+    res.status(201).json(await viewPost(blogPost));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET every blog post including drafts and scheduled ones (staff and admin)
+app.get('/api/admin/blog', authenticateToken, authorizeRoles('staff', 'admin'), validate({ query: blogListQuery.extend({ status: z.enum(BLOG_STATUSES).optional() }) }), (req, res, next) => {
+  const { status } = req.query;
+  return listBlogPosts(() => (status ? { status } : {}))(req, res, next);
+});
+
+// GET any blog post by id, e.g. to preview a draft (staff and admin)
+app.get('/api/admin/blog/:id', authenticateToken, authorizeRoles('staff', 'admin'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const blogPost = await BlogPost.findById(req.params.id);
+    if (!blogPost) {
+      return sendError(res, 404, 'Blog post not found');
+    }
+    res.json(await viewPost(blogPost));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update a blog post (staff and admin) - only the fields sent are changed.
+// Changing the title does not change the slug, so existing links keep working.
+const updateBlogPostSchema = z.object(blogPostFields).partial();
+
+app.put('/api/admin/blog/:id', authenticateToken, authorizeRoles('staff', 'admin'), validate({ params: idParams, body: updateBlogPostSchema }), async (req, res, next) => {
+  try {
+    const blogPost = await BlogPost.findById(req.params.id);
+    if (!blogPost) {
+      return sendError(res, 404, 'Blog post not found');
+    }
+
+    const { slug, status, publishedAt, ...fields } = definedFields(req.body);
+
+    if (status !== undefined || publishedAt !== undefined) {
+      // A post that is already live keeps its publish time unless a new one is sent
+      const keepTime = publishedAt === undefined && (status || blogPost.status) !== 'draft' ? blogPost.publishedAt : undefined;
+      const publishing = resolvePublishing(status || blogPost.status, publishedAt || keepTime);
+      if (publishing.error) {
+        return sendResultError(res, publishing);
+      }
+      Object.assign(fields, publishing);
+    }
+    if (slug && slug !== blogPost.slug) {
+      if (await BlogPost.exists({ slug })) {
+        return sendError(res, 409, 'Blog post already exists with this slug');
+      }
+      fields.slug = slug;
+    }
+    const productCheck = await checkPostProducts(fields.productIds);
+    if (productCheck.error) {
+      return sendResultError(res, productCheck);
+    }
+    // A linked image has no thumbnails of ours
+    if (fields.image !== undefined) {
+      fields.imageThumbnails = undefined;
+    }
+
+    blogPost.set({ ...fields, updatedAt: new Date() });
+    await blogPost.save();
+
+    res.json(await viewPost(blogPost));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Upload the cover image of a post (multipart field "image"), replacing the previous upload
+app.post('/api/admin/blog/:id/image', authenticateToken, authorizeRoles('staff', 'admin'), validate({ params: idParams }), receiveImages('image'), async (req, res, next) => {
+  try {
+    if (!(await BlogPost.exists({ _id: req.params.id }))) {
+      return sendError(res, 404, 'Blog post not found');
+    }
+    const result = await replaceOwnerImage(req, 'blog', req.params.id, (media) => BlogPost.findByIdAndUpdate(
+      req.params.id,
+      { image: media.url, imageThumbnails: thumbnailUrls(media), updatedAt: new Date() },
+      { new: true }
+    ));
+    if (result.error) {
+      return sendResultError(res, result);
+    }
+
+    res.status(201).json(await viewPost(result.owner));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ========== ADMIN ROUTES ==========
+// Get all users (admin only)
+app.get('/api/admin/users', authenticateToken, authorizeRoles('admin'), async (req, res, next) => {
+  try {
+    const users = await User.find().select('-password');
+    res.json(users);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get all orders (staff and admin)
+app.get('/api/admin/orders', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res, next) => {
+  try {
+    const orders = await Order.find().sort({ date: -1 });
+    res.json(orders);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update any order status (staff and admin)
+app.put('/api/admin/orders/:id', authenticateToken, authorizeRoles('staff', 'admin'), validate({ params: idParams, body: updateOrderStatusSchema }), async (req, res, next) => {
+  try {
+    const { status, note, cancellationReason } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+
+    const result = await transitionOrder(
+      order,
+      status,
+      { userId: req.user.userId, role: req.user.role },
+      { note, cancellationReason }
+    );
+    if (result.error) {
+      return sendResultError(res, result);
+    }
+
+    res.json(result.order);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Adjust a variant's stock; the product total moves with it.
+// Returns { product, delta }, { product: null } when not found, or { shortfall: true }.
+const adjustVariantStock = async (productId, variantId, { change, stock }) => {
+  if (stock !== undefined) {
+    const previous = await Product.findOneAndUpdate(
+      { _id: productId, 'variants._id': variantId },
+      { $set: { 'variants.$.stock': stock } }
+    );
+    if (!previous) {
+      return { product: null };
+    }
+    const delta = stock - previous.variants.id(variantId).stock;
+    const product = await Product.findByIdAndUpdate(productId, { $inc: { stock: delta } }, { new: true });
+    return { product, delta };
+  }
+
+  // Never let a removal take stock below zero
+  const stockCondition = change < 0 ? { stock: { $gte: -change } } : {};
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, variants: { $elemMatch: { _id: variantId, ...stockCondition } } },
+    { $inc: { stock: change, 'variants.$.stock': change } },
+    { new: true }
+  );
+  if (!product && (await Product.exists({ _id: productId, 'variants._id': variantId }))) {
+    return { shortfall: true };
+  }
+  return { product, delta: change };
+};
+
+// Adjust product stock (staff and admin), see adjustStockSchema.
+// Products with variants are stocked per variant: send variantId.
+const productStockSchema = z.object({ variantId: objectId.optional() }).and(adjustStockSchema);
+
+app.post('/api/admin/products/:id/stock', authenticateToken, authorizeRoles('staff', 'admin'), validate({ params: idParams, body: productStockSchema }), async (req, res, next) => {
+  try {
+    const { variantId, change, stock, reason } = req.body;
+
+    const current = await Product.findById(req.params.id);
+    if (!current) {
+      return sendError(res, 404, 'Product not found');
+    }
+    const resolved = resolveVariant(current, variantId);
+    if (resolved.error) {
+      return sendResultError(res, resolved);
+    }
+
+    let product;
+    let delta;
+    if (variantId) {
+      const adjusted = await adjustVariantStock(req.params.id, variantId, { change, stock });
+      if (adjusted.shortfall) {
+        return sendError(res, 409, 'Insufficient stock', { code: 'OUT_OF_STOCK' });
+      }
+      if (!adjusted.product) {
+        return sendError(res, 404, 'Variant not found');
+      }
+      ({ product, delta } = adjusted);
+    } else if (stock !== undefined) {
+      const previous = await Product.findByIdAndUpdate(req.params.id, { stock });
+      if (!previous) {
+        return sendError(res, 404, 'Product not found');
+      }
+      delta = stock - (previous.stock || 0);
+      product = await Product.findById(req.params.id);
+    } else {
+      // Never let a removal take stock below zero
+      const filter = change < 0 ? { _id: req.params.id, stock: { $gte: -change } } : { _id: req.params.id };
+      product = await Product.findOneAndUpdate(filter, { $inc: { stock: change } }, { new: true });
+      if (!product) {
+        const exists = await Product.exists({ _id: req.params.id });
+        return exists
+          ? sendError(res, 409, 'Insufficient stock', { code: 'OUT_OF_STOCK' })
+          : sendError(res, 404, 'Product not found');
+      }
+      delta = change;
+    }
+
+    await StockAdjustment.create({
+      productId: product._id,
+      variantId,
+      change: delta,
+      stockAfter: variantId ? product.variants.id(variantId).stock : product.stock,
+      reason,
+      adjustedBy: req.user.userId
+    });
+
+    res.json(productView(product));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get stock adjustment log for a product (staff and admin)
+app.get('/api/admin/products/:id/stock', authenticateToken, authorizeRoles('staff', 'admin'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return sendError(res, 404, 'Product not found');
+    }
+    const adjustments = await StockAdjustment.find({ productId: req.params.id }).sort({ createdAt: -1 });
+    res.json({ product: productView(product), adjustments });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get low and out of stock products (staff and admin)
+app.get('/api/admin/inventory/low-stock', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res, next) => {
+  try {
+    const products = await Product.find({ $expr: { $lte: ['$stock', '$lowStockThreshold'] } }).sort({ stock: 1 });
+    res.json(products.map(productView));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete product (admin only)
+app.delete('/api/admin/products/:id', authenticateToken, authorizeRoles('admin'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const product = await Product.findByIdAndDelete(req.params.id);
+    
+    if (!product) {
+      return sendError(res, 404, 'Product not found');
+    }
+    
+    await Review.deleteMany({ productId: req.params.id });
+    await deleteOwnerMedia('product', product.id);
+
+    res.json({ message: 'Product deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete blog post (admin only)
+app.delete('/api/admin/blog/:id', authenticateToken, authorizeRoles('admin'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const blogPost = await BlogPost.findByIdAndDelete(req.params.id);
+    
+    if (!blogPost) {
+      return sendError(res, 404, 'Blog post not found');
+    }
+    await deleteOwnerMedia('blog', blogPost.id);
+    
+    res.json({ message: 'Blog post deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete uploads nothing points at any more, e.g. a profile image replaced by
+// a link, or files whose owner went away without cleaning up (admin only)
+app.post('/api/admin/media/cleanup', authenticateToken, authorizeRoles('admin'), async (req, res, next) => {
+  try {
+    const candidates = await Media.find({ createdAt: { $lt: new Date(Date.now() - MEDIA_ORPHAN_GRACE_MS) } });
+    const orphans = [];
+    for (const media of candidates) {
+      if (!(await mediaInUse[media.ownerType](media))) {
+        orphans.push(media);
+      }
+    }
+    await deleteMedia(orphans);
+
+    res.json({ message: 'Orphaned media deleted', deleted: orphans.length });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Change a user's role (admin only)
+const changeRoleSchema = z.object({
+  role: z.enum(User.schema.path('role').enumValues),
+  reason: text(200).optional()
+});
+
+app.put('/api/admin/users/:id/role', authenticateToken, authorizeRoles('admin'), validate({ params: idParams, body: changeRoleSchema }), async (req, res, next) => {
+  try {
+    const { role, reason } = req.body;
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+
+    // Never leave the store without an admin
+    if (user.role === 'admin' && role !== 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return sendError(res, 409, 'Cannot remove the last admin');
+      }
+    }
+
+    const fromRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await RoleAudit.create({
+      userId: user._id,
+      email: user.email,
+      fromRole,
+      toRole: role,
+      changedBy: req.user.userId,
+      reason
+    });
+
+    res.json(await User.findById(user._id).select('-password'));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get role change history (admin only)
+app.get('/api/admin/role-audit', authenticateToken, authorizeRoles('admin'), validate({ query: z.object({ userId: objectId.optional() }) }), async (req, res, next) => {
+  try {
+    const filter = req.query.userId ? { userId: req.query.userId } : {};
+    const entries = await RoleAudit.find(filter).sort({ changedAt: -1 });
+    res.json(entries);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Promote the first admin. Only works while no admin exists and
+// requires ADMIN_BOOTSTRAP_SECRET to be set on the server.
+app.post('/api/admin/bootstrap', authenticateToken, validate({ body: z.object({ secret: z.string().min(1, 'Required') }) }), async (req, res, next) => {
+  try {
+    const secret = process.env.ADMIN_BOOTSTRAP_SECRET;
+    if (!secret || req.body.secret !== secret) {
+      return sendError(res, 403, 'Invalid bootstrap secret');
+    }
+
+    const existingAdmin = await User.findOne({ role: 'admin' });
+    if (existingAdmin) {
+      return sendError(res, 409, 'An admin already exists');
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+
+    const fromRole = user.role;
+    user.role = 'admin';
+    await user.save();
+
+    await RoleAudit.create({
+      userId: user._id,
+      email: user.email,
+      fromRole,
+      toRole: 'admin',
+      changedBy: user._id,
+      reason: 'bootstrap'
+    });
+
+    // Issue a fresh token so the new role takes effect immediately
+    res.json({ message: 'User promoted to admin', token: generateToken(user) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ========== ANALYTICS ==========
+// Dashboard numbers for admins, computed with aggregation pipelines.
+// Every endpoint takes ?from=YYYY-MM-DD&to=YYYY-MM-DD (both inclusive, India
+// time), defaulting to the last 30 days.
+const ANALYTICS_TIMEZONE = 'Asia/Kolkata'; // matches LOCAL_TIME_OFFSET_MS
+const ANALYTICS_DEFAULT_DAYS = 30;
+
+// Orders in these states never brought in money
+const UNPAID_STATUSES = ['Pending payment', 'Cancelled'];
+
+const analyticsQuery = z.object({
+  from: isoDate.optional(),
+  to: isoDate.optional()
+});
+
+// [start, end) instants for a validated analytics query
+const analyticsRange = ({ from, to }) => {
+  const lastDay = to || localDate(new Date());
+  const firstDay = from || localDate(lastDay, 1 - ANALYTICS_DEFAULT_DAYS);
+  return {
+    from: firstDay,
+    to: lastDay,
+    start: new Date(Date.parse(firstDay) - LOCAL_TIME_OFFSET_MS),
+    end: new Date(Date.parse(localDate(lastDay, 1)) - LOCAL_TIME_OFFSET_MS)
+  };
+};
+
+// Order.date is an ISO string, so the range is compared as strings
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+// Older orders stored the date as a locale string (or not at all), which the
+// string range above skips and $dateFromString can't parse. Rewrite them as ISO,
+// falling back to the first status change or the order's creation time.
+const migrateLegacyOrderDates = async () => {
+  const legacyOrders = await Order.collection.find({ date: { $not: ISO_TIMESTAMP } }).toArray();
+
+  for (const legacy of legacyOrders) {
+    const dated = legacy.date ? new Date(legacy.date) : null;
+    const firstChange = legacy.statusHistory && legacy.statusHistory[0];
+    const placedAt = dated && !isNaN(dated) ? dated
+      : firstChange && firstChange.at ? new Date(firstChange.at)
+      : legacy._id.getTimestamp();
+    await Order.collection.updateOne({ _id: legacy._id }, { $set: { date: placedAt.toISOString() } });
+  }
+
+  if (legacyOrders.length > 0) {
+    console.log(`Migrated dates on ${legacyOrders.length} orders`);
+  }
+};
+
+const ordersPlacedIn = (range) => ({ date: { $gte: range.start.toISOString(), $lt: range.end.toISOString() } });
+
+const paidOrdersIn = (range) => ({ ...ordersPlacedIn(range), status: { $nin: UNPAID_STATUSES } });
+
+// Group key for a date field by day, ISO week or month
+const PERIOD_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+const periodOf = (date, interval) => ({
+  $dateToString: { format: PERIOD_FORMATS[interval], date, timezone: ANALYTICS_TIMEZONE }
+});
+
+// Revenue over time. revenue is order totals; netRevenue takes refunds off.
+app.get('/api/admin/analytics/revenue', authenticateToken, authorizeRoles('admin'), validate({ query: analyticsQuery.extend({ interval: z.enum(Object.keys(PERIOD_FORMATS)).default('day') }) }), async (req, res, next) => {
+  try {
+    const range = analyticsRange(req.query);
+    const series = await Order.aggregate([
+      { $match: paidOrdersIn(range) },
+      {
+        $group: {
+          _id: periodOf({ $dateFromString: { dateString: '$date' } }, req.query.interval),
+          orders: { $sum: 1 },
+          revenue: { $sum: '$total' },
+          refunds: { $sum: '$refundedTotal' }
+        }
+      },
+      { $sort: { _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          period: '$_id',
+          orders: 1,
+          revenue: 1,
+          refunds: 1,
+          netRevenue: { $subtract: ['$revenue', '$refunds'] }
+        }
       }
-    });
+    ]);
+    res.json({ from: range.from, to: range.to, interval: req.query.interval, series });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// Get user profile
-app.get('/api/user', authenticateToken, async (req, res) => {
+// Order counts by current status
+app.get('/api/admin/analytics/orders-by-status', authenticateToken, authorizeRoles('admin'), validate({ query: analyticsQuery }), async (req, res, next) => {
   try {
-    const user = await User.findById(req.user.userId).select('-password');
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-    res.json(user);
+    const range = analyticsRange(req.query);
+    const statuses = await Order.aggregate([
+      { $match: ordersPlacedIn(range) },
+      { $group: { _id: '$status', orders: { $sum: 1 } } },
+      { $sort: { orders: -1 } },
+      { $project: { _id: 0, status: '$_id', orders: 1 } }
+    ]);
+    res.json({ from: range.from, to: range.to, statuses });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// Update user profile
-app.put('/api/user', authenticateToken, async (req, res) => {
+// Average order value and size over paid orders
+app.get('/api/admin/analytics/average-order-value', authenticateToken, authorizeRoles('admin'), validate({ query: analyticsQuery }), async (req, res, next) => {
   try {
-    const { firstName, lastName, phone, dateOfBirth, gender, address, city, state, zipCode, country, profileImage } = req.body;
-    
-    const updatedUser = await User.findByIdAndUpdate(
-      req.user.userId,
-      { 
-        firstName, 
-        lastName, 
-        phone, 
-        dateOfBirth, 
-        gender, 
-        address, 
-        city, 
-        state, 
-        zipCode, 
-        country,
-        profileImage
+    const range = analyticsRange(req.query);
+    const [summary] = await Order.aggregate([
+      { $match: paidOrdersIn(range) },
+      {
+        $group: {
+          _id: null,
+          orders: { $sum: 1 },
+          revenue: { $sum: '$total' },
+          averageOrderValue: { $avg: '$total' },
+          averageItems: { $avg: { $sum: '$items.quantity' } }
+        }
       },
-      { new: true }
-    ).select('-password');
-
-    res.json(updatedUser);
+      { $project: { _id: 0 } }
+    ]);
+    res.json({
+      from: range.from,
+      to: range.to,
+      ...(summary || { orders: 0, revenue: 0, averageOrderValue: 0, averageItems: 0 })
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// Change password
-app.put('/api/user/password', authenticateToken, async (req, res) => {
-  try {
-    const { currentPassword, newPassword } = req.body;
-    
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    // Verify current password
-    const validPassword = await bcrypt.compare(currentPassword, user.password);
-    if (!validPassword) {
-      return res.status(400).json({ error: 'Current password is incorrect' });
+// Best sellers by units over paid orders, grouped by a field of the order items
+const topSellers = (field, range, limit) => Order.aggregate([
+  { $match: paidOrdersIn(range) },
+  { $unwind: '$items' },
+  {
+    $group: {
+      _id: `$items.${field}`,
+      name: { $last: '$items.name' },
+      units: { $sum: '$items.quantity' },
+      revenue: { $sum: '$items.lineTotal' },
+      orders: { $sum: 1 }
     }
+  },
+  { $sort: { units: -1, revenue: -1 } },
+  { $limit: limit }
+]);
 
-    // Hash new password
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
-    user.password = hashedPassword;
-    await user.save();
-
-    res.json({ message: 'Password updated successfully' });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+const topSellersQuery = analyticsQuery.extend({ limit: z.coerce.number().int().min(1).max(100).default(10) });
 
-// ========== PRODUCT ROUTES ==========
-// GET all products
-app.get('/api/products', async (req, res) => {
+// Top-selling products
+app.get('/api/admin/analytics/top-products', authenticateToken, authorizeRoles('admin'), validate({ query: topSellersQuery }), async (req, res, next) => {
   try {
-    const products = await Product.find();
-    res.json(products);
+    const range = analyticsRange(req.query);
+    const products = await topSellers('productId', range, req.query.limit);
+    res.json({
+      from: range.from,
+      to: range.to,
+      products: products.map(({ _id, ...totals }) => ({ productId: _id, ...totals }))
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// GET 7m products
-app.get('/api/products/7m', async (req, res) => {
+// Top-selling categories
+app.get('/api/admin/analytics/top-categories', authenticateToken, authorizeRoles('admin'), validate({ query: topSellersQuery }), async (req, res, next) => {
   try {
-    const products = await Product.find({ 
-      $or: [
-        { category: '7m' },
-        { deliveryTime: '7m' }
-      ]
+    const range = analyticsRange(req.query);
+    const categories = await topSellers('category', range, req.query.limit);
+    res.json({
+      from: range.from,
+      to: range.to,
+      categories: categories.map(({ _id, name, ...totals }) => ({ category: _id, ...totals }))
     });
-    res.json(products);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// POST product
-app.post('/api/products', async (req, res) => {
+// Why orders were cancelled, by cancellation time
+app.get('/api/admin/analytics/cancellation-reasons', authenticateToken, authorizeRoles('admin'), validate({ query: analyticsQuery }), async (req, res, next) => {
   try {
-    const product = new Product(req.body);
-    await product.save();
-    res.status(201).json(product);
+    const range = analyticsRange(req.query);
+    const reasons = await Order.aggregate([
+      {
+        $match: {
+          status: 'Cancelled',
+          'cancellationReason.cancelledAt': { $gte: range.start, $lt: range.end }
+        }
+      },
+      {
+        $group: {
+          _id: { $ifNull: ['$cancellationReason.reason', 'No reason given'] },
+          orders: { $sum: 1 },
+          value: { $sum: '$total' }
+        }
+      },
+      { $sort: { orders: -1 } },
+      { $project: { _id: 0, reason: '$_id', orders: 1, value: 1 } }
+    ]);
+    res.json({ from: range.from, to: range.to, reasons });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    next(err);
   }
 });
 
-// ========== ORDER ROUTES ==========
-// Get user orders
-app.get('/api/orders', authenticateToken, async (req, res) => {
+// New users per day
+app.get('/api/admin/analytics/signups', authenticateToken, authorizeRoles('admin'), validate({ query: analyticsQuery }), async (req, res, next) => {
   try {
-    const orders = await Order.find({ userId: req.user.userId }).sort({ date: -1 });
-    res.json(orders);
+    const range = analyticsRange(req.query);
+    const series = await User.aggregate([
+      { $match: { createdAt: { $gte: range.start, $lt: range.end } } },
+      { $group: { _id: periodOf('$createdAt', 'day'), signups: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, day: '$_id', signups: 1 } }
+    ]);
+    res.json({ from: range.from, to: range.to, series });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// Create new order
-app.post('/api/orders', authenticateToken, async (req, res) => {
+// 7m vs regular delivery: orders that are express only, standard only or mixed,
+// and the units and sales of each kind of item
+const isExpressItemExpr = {
+  $or: [{ $eq: ['$$item.deliveryTime', '7m'] }, { $eq: ['$$item.category', '7m'] }]
+};
+
+app.get('/api/admin/analytics/delivery-mix', authenticateToken, authorizeRoles('admin'), validate({ query: analyticsQuery }), async (req, res, next) => {
   try {
-    const orderData = {
-      ...req.body,
-      userId: req.user.userId
-    };
-    
-    const order = new Order(orderData);
-    await order.save();
-    
-    // Update user's order count
-    await User.findByIdAndUpdate(req.user.userId, { $inc: { orders: 1 } });
-    
-    res.status(201).json(order);
+    const range = analyticsRange(req.query);
+    const [orders, items] = await Promise.all([
+      Order.aggregate([
+        { $match: paidOrdersIn(range) },
+        {
+          $project: {
+            total: 1,
+            expressItems: { $size: { $filter: { input: '$items', as: 'item', cond: isExpressItemExpr } } },
+            itemCount: { $size: '$items' }
+          }
+        },
+        {
+          $group: {
+            _id: {
+              $switch: {
+                branches: [
+                  { case: { $eq: ['$expressItems', 0] }, then: 'standard' },
+                  { case: { $eq: ['$expressItems', '$itemCount'] }, then: 'express' }
+                ],
+                default: 'mixed'
+              }
+            },
+            orders: { $sum: 1 },
+            revenue: { $sum: '$total' }
+          }
+        },
+        { $project: { _id: 0, type: '$_id', orders: 1, revenue: 1 } }
+      ]),
+      Order.aggregate([
+        { $match: paidOrdersIn(range) },
+        { $unwind: '$items' },
+        {
+          $group: {
+            _id: { $cond: [{ $let: { vars: { item: '$items' }, in: isExpressItemExpr } }, 'express', 'standard'] },
+            units: { $sum: '$items.quantity' },
+            sales: { $sum: '$items.lineTotal' }
+          }
+        },
+        { $project: { _id: 0, type: '$_id', units: 1, sales: 1 } }
+      ])
+    ]);
+    res.json({ from: range.from, to: range.to, orders, items });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// Update order status
-app.put('/api/orders/:id', authenticateToken, async (req, res) => {
+// Which blog posts sell: clicks through to products, and paid orders with
+// items added from each post (units and sales of those items only)
+app.get('/api/admin/analytics/blog-attribution', authenticateToken, authorizeRoles('admin'), validate({ query: analyticsQuery }), async (req, res, next) => {
   try {
-    const { status, tracking, cancellationReason } = req.body;
-    const updateData = { status, tracking };
-    
-    // If cancelling, add cancellation reason
-    if (status === 'Cancelled' && cancellationReason) {
-      updateData.cancellationReason = {
-        ...cancellationReason,
-        cancelledAt: new Date()
+    const range = analyticsRange(req.query);
+    const [clicks, sales] = await Promise.all([
+      BlogClick.aggregate([
+        { $match: { createdAt: { $gte: range.start, $lt: range.end } } },
+        { $group: { _id: '$postId', clicks: { $sum: 1 } } }
+      ]),
+      Order.aggregate([
+        { $match: { ...paidOrdersIn(range), 'items.blogPostId': { $exists: true, $ne: null } } },
+        { $unwind: '$items' },
+        { $match: { 'items.blogPostId': { $exists: true, $ne: null } } },
+        {
+          $group: {
+            _id: '$items.blogPostId',
+            orders: { $addToSet: '$_id' },
+            units: { $sum: '$items.quantity' },
+            sales: { $sum: '$items.lineTotal' }
+          }
+        },
+        { $project: { orders: { $size: '$orders' }, units: 1, sales: 1 } }
+      ])
+    ]);
+
+    const postIds = [...new Set([...clicks, ...sales].map(row => row._id))];
+    const posts = await BlogPost.find({ _id: { $in: postIds } }, { title: 1, slug: 1 });
+    const postsById = new Map(posts.map(post => [post.id, post]));
+    const clicksByPost = new Map(clicks.map(row => [row._id, row.clicks]));
+    const salesByPost = new Map(sales.map(row => [row._id, row]));
+
+    const report = postIds.map(postId => {
+      const post = postsById.get(postId);
+      const sold = salesByPost.get(postId) || { orders: 0, units: 0, sales: 0 };
+      const postClicks = clicksByPost.get(postId) || 0;
+      return {
+        postId,
+        title: post ? post.title : null,
+        slug: post ? post.slug : null,
+        clicks: postClicks,
+        orders: sold.orders,
+        units: sold.units,
+        sales: sold.sales,
+        conversionRate: postClicks > 0 ? sold.orders / postClicks : null
       };
-    }
-    
-    const order = await Order.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user.userId },
-      updateData,
-      { new: true }
-    );
-    
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
-    
-    res.json(order);
+    }).sort((a, b) => b.sales - a.sales || b.clicks - a.clicks);
+
+    res.json({ from: range.from, to: range.to, posts: report });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// ========== BLOG ROUTES ==========
-// GET all blog posts
-app.get('/api/blog', async (req, res) => {
-  try {
-    const blogPosts = await BlogPost.find().sort({ date: -1 });
-    res.json(blogPosts);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// ========== CATALOG IMPORT & EXPORT ==========
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+const IMPORT_MAX_PRODUCTS = 5000;
+const IMPORT_REASON = 'Catalog import';
+
+// Product CSV: one row per product, or one row per variant (repeating the
+// product columns) for products with variants. Attributes go in attr.<key>
+// and variantAttr.<key> columns.
+const PRODUCT_CSV_COLUMNS = [
+  'sku', 'name', 'description', 'category', 'price', 'stock', 'lowStockThreshold', 'deliveryTime', 'leadTimeDays', 'img',
+  'variantSku', 'variantPrice', 'variantStock', 'variantImg'
+];
+const NUMERIC_CSV_COLUMNS = new Set(['price', 'stock', 'lowStockThreshold', 'leadTimeDays', 'variantPrice', 'variantStock']);
+
+// Spreadsheet apps run cells starting with these as formulas, so exports
+// prefix them with a quote and imports take it off again
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let cell = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && CSV_FORMULA_START.test(cell)) {
+    cell = `'${cell}`;
   }
-});
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
 
-// GET blog post by ID
-app.get('/api/blog/:id', async (req, res) => {
-  try {
-    const blogPost = await BlogPost.findById(req.params.id);
-    if (!blogPost) {
-      return res.status(404).json({ error: 'Blog post not found' });
+const csvLine = (cells) => `${cells.map(csvCell).join(',')}\r\n`;
+
+// Parse CSV (RFC 4180: quoted cells, "" inside quotes, CRLF or LF) into rows of cells
+const parseCsv = (input) => {
+  const source = input.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
     }
-    res.json(blogPost);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
   }
-});
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
 
-// GET blog posts by category
-app.get('/api/blog/category/:category', async (req, res) => {
-  try {
-    const blogPosts = await BlogPost.find({ 
-      category: req.params.category 
-    }).sort({ date: -1 });
-    res.json(blogPosts);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// Attribute cells that look like numbers are stored as numbers, see Product.attributes
+const csvValue = (column, cell) => {
+  if (NUMERIC_CSV_COLUMNS.has(column)) return Number(cell);
+  if (column.includes('.') && cell !== '' && !isNaN(Number(cell))) return Number(cell);
+  return cell;
+};
+
+// Turn CSV rows into import entries { rows, product }, grouping the rows of a
+// product's variants by sku. row is the spreadsheet row number (header is 1).
+// Returns { entries } or { status, code, error } when the file cannot be read.
+const csvImportEntries = (csv) => {
+  const [header = [], ...body] = parseCsv(csv);
+  const columns = header.map(column => column.trim());
+  const unknown = columns.filter(column =>
+    !PRODUCT_CSV_COLUMNS.includes(column) && !/^(attr|variantAttr)\.[^.]+$/.test(column)
+  );
+  if (!columns.includes('sku') || unknown.length > 0) {
+    const error = unknown.length > 0 ? `Unknown columns: ${unknown.join(', ')}` : 'The header needs a sku column';
+    return { status: 400, code: 'INVALID_IMPORT', error };
   }
-});
 
-// POST new blog post
-app.post('/api/blog', async (req, res) => {
+  const entries = new Map();
+  body.forEach((cells, index) => {
+    const values = {};
+    columns.forEach((column, position) => {
+      const cell = (cells[position] || '').trim().replace(/^'(?=[=+\-@\t\r])/, '');
+      if (cell !== '') values[column] = csvValue(column, cell);
+    });
+    if (Object.keys(values).length === 0) return;
+
+    // Rows without a sku cannot be grouped; keep them apart so they get reported
+    const key = values.sku === undefined ? `row ${index + 2}` : values.sku;
+    if (!entries.has(key)) {
+      entries.set(key, { rows: [], product: { attributes: undefined, variants: undefined } });
+    }
+    const entry = entries.get(key);
+    const { product } = entry;
+    entry.rows.push(index + 2);
+
+    for (const [column, value] of Object.entries(values)) {
+      const [group, attribute] = column.split('.');
+      if (group === 'attr') {
+        product.attributes = { [attribute]: value, ...product.attributes };
+      } else if (!column.startsWith('variant') && product[column] === undefined) {
+        product[column] = value;
+      }
+    }
+    if (values.variantSku !== undefined || values.variantPrice !== undefined) {
+      const attributes = Object.fromEntries(Object.entries(values)
+        .filter(([column]) => column.startsWith('variantAttr.'))
+        .map(([column, value]) => [column.slice('variantAttr.'.length), value]));
+      product.variants = [...(product.variants || []), definedFields({
+        sku: values.variantSku,
+        price: values.variantPrice,
+        stock: values.variantStock,
+        img: values.variantImg,
+        attributes: Object.keys(attributes).length > 0 ? attributes : undefined
+      })];
+    }
+  });
+
+  return { entries: [...entries.values()].map(({ rows, product }) => ({ rows, product: definedFields(product) })) };
+};
+
+// JSON imports are an array of products (or { products: [...] }) in the
+// shape POST /api/products takes, plus sku. row is the position, from 1.
+const jsonImportEntries = (json) => {
+  let data;
   try {
-    const blogPost = new BlogPost(req.body);
-    await blogPost.save();
-    res.status(201).json(blogPost);
-  } catch (err) {
-    res.status(400).json({ error: err.message });
+    data = JSON.parse(json);
+  } catch (parseErr) {
+    return { status: 400, code: 'INVALID_IMPORT', error: `Invalid JSON: ${parseErr.message}` };
   }
-});
+  const products = Array.isArray(data) ? data : data && data.products;
+  if (!Array.isArray(products)) {
+    return { status: 400, code: 'INVALID_IMPORT', error: 'Expected an array of products' };
+  }
+  return { entries: products.map((product, index) => ({ rows: [index + 1], product })) };
+};
 
-// ========== ADMIN ROUTES ==========
-// Get all users (admin only)
-app.get('/api/admin/users', authenticateToken, async (req, res) => {
-  try {
-    // In a real app, you would check if the user is an admin
-    const users = await User.find().select('-password');
-    res.json(users);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+const importVariantSchema = z.object({
+  ...variantFields,
+  stock: z.number().int().min(0).optional()
+}).strict();
+
+// Only sku is needed to update a product; new ones also need name, category and a price
+const importProductSchema = z.object({
+  ...productFields,
+  sku: skuCode,
+  name: productFields.name.optional(),
+  category: productFields.category.optional(),
+  price: productFields.price.optional(),
+  stock: z.number().int().min(0).optional(),
+  variants: z.array(importVariantSchema).max(100).optional()
+}).strict()
+  .refine(body => !body.variants || new Set(body.variants.map(variant => variant.sku)).size === body.variants.length, { message: 'SKUs must be unique', path: ['variants'] });
+
+// Fields an import may change on an existing product, besides price, stock and variants
+const IMPORT_UPDATE_FIELDS = ['name', 'description', 'category', 'img', 'deliveryTime', 'leadTimeDays', 'lowStockThreshold', 'attributes'];
+
+const lowestPrice = (variants) => Math.min(...variants.map(variant => variant.price));
+const totalStock = (variants) => variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+
+// Imported stock levels are counts: log the difference from stockBefore
+// (keyed by variant sku, null for the product) like a manual adjustment
+const logImportedStock = async (product, stockBefore, userId) => {
+  const levels = product.variants.length > 0
+    ? product.variants.map(variant => ({ variantId: variant.id, key: variant.sku, stockAfter: variant.stock }))
+    : [{ key: null, stockAfter: product.stock }];
+  for (const { variantId, key, stockAfter } of levels) {
+    const delta = stockAfter - (stockBefore.get(key) || 0);
+    if (delta !== 0) {
+      await StockAdjustment.create({ productId: product.id, variantId, change: delta, stockAfter, reason: IMPORT_REASON, adjustedBy: userId });
+    }
   }
-});
+};
 
-// Get all orders (admin only)
-app.get('/api/admin/orders', authenticateToken, async (req, res) => {
-  try {
-    const orders = await Order.find().sort({ date: -1 });
-    res.json(orders);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// Work out what importing data (a validated product) does to the product
+// with its sku, if any. Returns { action, changes, apply(userId) } where
+// changes maps each changed field to { from, to }, or { errors }.
+const planProductImport = (data, product) => {
+  const hasVariants = Boolean(data.variants && data.variants.length > 0) || Boolean(product && product.variants.length > 0);
+  if (hasVariants && (data.price !== undefined || data.stock !== undefined)) {
+    const field = data.price !== undefined ? 'price' : 'stock';
+    return { errors: [{ field, message: 'Products with variants take price and stock per variant' }] };
   }
+  const resulting = { ...(product ? { category: product.category, deliveryTime: product.deliveryTime } : {}), ...definedFields({ category: data.category, deliveryTime: data.deliveryTime }) };
+  if (hasVariants && isExpressItem(resulting)) {
+    return { errors: [{ field: 'variants', message: EXPRESS_VARIANTS_ERROR.error }] };
+  }
+
+  if (!product) {
+    const missing = ['name', 'category', ...(hasVariants ? [] : ['price'])].filter(field => data[field] === undefined);
+    if (missing.length > 0) {
+      return { errors: missing.map(field => ({ field, message: 'Required for a new product' })) };
+    }
+    const fields = { ...data };
+    if (hasVariants) {
+      fields.variants = data.variants.map(variant => ({ stock: 0, ...variant }));
+      fields.price = lowestPrice(fields.variants);
+      fields.stock = totalStock(fields.variants);
+    }
+    const changes = Object.fromEntries(Object.entries(fields).map(([field, to]) => [field, { from: null, to }]));
+    return {
+      action: 'create',
+      changes,
+      apply: async (userId) => {
+        const created = await new Product(fields).save();
+        await logImportedStock(created, new Map(), userId);
+      }
+    };
+  }
+
+  const changes = {};
+  const change = (field, from, to) => {
+    if (to !== undefined && !util.isDeepStrictEqual(from, to)) {
+      changes[field] = { from: from === undefined ? null : from, to };
+    }
+  };
+  for (const field of IMPORT_UPDATE_FIELDS) {
+    change(field, product[field], data[field]);
+  }
+
+  // Variants are matched by sku; ones missing from the import are kept
+  const variants = product.variants.map(({ _id, sku, price, stock, img, attributes }) => ({ _id, sku, price, stock, img, attributes }));
+  for (const imported of data.variants || []) {
+    const variant = variants.find(existing => existing.sku === imported.sku);
+    if (!variant) {
+      const added = { stock: 0, ...imported };
+      variants.push(added);
+      change(`variants.${imported.sku}`, undefined, added);
+      continue;
+    }
+    for (const field of ['price', 'stock', 'img', 'attributes']) {
+      change(`variants.${variant.sku}.${field}`, variant[field], imported[field]);
+      if (imported[field] !== undefined) variant[field] = imported[field];
+    }
+  }
+  const price = variants.length > 0 ? lowestPrice(variants) : data.price;
+  const stock = variants.length > 0 ? totalStock(variants) : data.stock;
+  change('price', product.price, price);
+  change('stock', product.stock, stock);
+
+  if (Object.keys(changes).length === 0) {
+    return { action: 'unchanged', changes };
+  }
+
+  return {
+    action: 'update',
+    changes,
+    apply: async (userId) => {
+      const stockBefore = new Map([[null, product.stock], ...product.variants.map(variant => [variant.sku, variant.stock])]);
+      const priceBefore = product.price;
+
+      for (const field of IMPORT_UPDATE_FIELDS) {
+        if (data[field] !== undefined) product.set(field, data[field]);
+      }
+      for (const { _id, ...fields } of variants) {
+        const variant = _id && product.variants.id(_id);
+        if (variant) {
+          variant.set(definedFields(fields));
+        } else {
+          product.variants.push(fields);
+        }
+      }
+      if (price !== undefined) product.price = price;
+      if (stock !== undefined) product.stock = stock;
+      await product.save();
+      await logImportedStock(product, stockBefore, userId);
+
+      // Price-drop alerts must not fail the import
+      if (product.price < priceBefore) {
+        try {
+          await notifyPriceDrop(product);
+        } catch (notifyErr) {
+          console.log('Price drop notification error:', notifyErr);
+        }
+      }
+    }
+  };
+};
+
+// Validate and plan every entry. mode 'insert' only creates products,
+// 'upsert' also updates the ones whose sku exists.
+// Returns { plans, errors } with errors as { rows, sku, field, message }.
+const planCatalogImport = async (entries, mode) => {
+  const errors = [];
+  const fail = (entry, field, message) => {
+    errors.push({ rows: entry.rows, sku: entry.product && entry.product.sku, field, message });
+  };
+
+  const parsed = [];
+  for (const entry of entries) {
+    const result = importProductSchema.safeParse(entry.product);
+    if (!result.success) {
+      result.error.issues.forEach(issue => fail(entry, issue.path.join('.') || undefined, issue.message));
+    } else {
+      parsed.push({ ...entry, data: result.data });
+    }
+  }
+
+  const skus = parsed.map(({ data }) => data.sku);
+  const variantSkus = parsed.flatMap(({ data }) => (data.variants || []).map(variant => variant.sku));
+  const [products, variantOwners, categories] = await Promise.all([
+    Product.find({ sku: { $in: skus } }),
+    Product.find({ 'variants.sku': { $in: variantSkus } }, { sku: 1, 'variants.sku': 1 }),
+    Category.find({}, { slug: 1 })
+  ]);
+  const productsBySku = new Map(products.map(product => [product.sku, product]));
+  const variantOwnerBySku = new Map(variantOwners.flatMap(product => product.variants.map(variant => [variant.sku, product.sku])));
+  const categorySlugs = new Set(categories.map(category => category.slug));
+
+  const seenSkus = new Set();
+  const plans = [];
+  for (const entry of parsed) {
+    const { data } = entry;
+    if (seenSkus.has(data.sku)) {
+      fail(entry, 'sku', 'Duplicate SKU in this import');
+      continue;
+    }
+    seenSkus.add(data.sku);
+
+    const product = productsBySku.get(data.sku);
+    if (product && mode === 'insert') {
+      fail(entry, 'sku', 'A product with this SKU already exists');
+      continue;
+    }
+    if (data.category !== undefined && !categorySlugs.has(data.category)) {
+      fail(entry, 'category', `Unknown category: ${data.category}`);
+      continue;
+    }
+    const takenVariant = (data.variants || []).find(variant =>
+      variantOwnerBySku.has(variant.sku) && variantOwnerBySku.get(variant.sku) !== data.sku
+    );
+    if (takenVariant) {
+      fail(entry, 'variants', `Variant SKU ${takenVariant.sku} belongs to product ${variantOwnerBySku.get(takenVariant.sku)}`);
+      continue;
+    }
+
+    const plan = planProductImport(data, product);
+    if (plan.errors) {
+      plan.errors.forEach(({ field, message }) => fail(entry, field, message));
+      continue;
+    }
+    plans.push({ rows: entry.rows, sku: data.sku, ...plan });
+  }
+
+  return { plans, errors };
+};
+
+const catalogUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES, files: 1 }
+}).single('file');
+
+const catalogImportQuery = z.object({
+  format: z.enum(['csv', 'json']).optional(),
+  mode: z.enum(['upsert', 'insert']).default('upsert'),
+  dryRun: z.enum(['true', 'false']).optional()
 });
 
-// Update any order (admin only)
-app.put('/api/admin/orders/:id', authenticateToken, async (req, res) => {
+// Import products from a CSV or JSON file (multipart field "file"; format from
+// ?format= or the file name) matched by sku (admin only). Valid products are
+// written and every failing row is reported; ?dryRun=true only shows the diff.
+app.post('/api/admin/catalog/import', authenticateToken, authorizeRoles('admin'), validate({ query: catalogImportQuery }), (req, res, next) => {
+  catalogUpload(req, res, (err) => {
+    if (err) {
+      return sendUploadError(res, err, IMPORT_MAX_BYTES) || next(err);
+    }
+    if (!req.file) {
+      return sendError(res, 400, 'Attach the file as multipart field "file"', { code: 'INVALID_UPLOAD' });
+    }
+    next();
+  });
+}, async (req, res, next) => {
   try {
-    const { status, cancellationReason } = req.body;
-    const updateData = { status };
-    
-    // If cancelling, add cancellation reason
-    if (status === 'Cancelled' && cancellationReason) {
-      updateData.cancellationReason = {
-        ...cancellationReason,
-        cancelledAt: new Date()
-      };
+    const { mode } = req.query;
+    const dryRun = req.query.dryRun === 'true';
+    const format = req.query.format || (/\.json$/i.test(req.file.originalname) || req.file.mimetype === 'application/json' ? 'json' : 'csv');
+    const contents = req.file.buffer.toString('utf8');
+
+    const read = format === 'json' ? jsonImportEntries(contents) : csvImportEntries(contents);
+    if (read.error) {
+      return sendResultError(res, read);
     }
-    
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
-    );
-    
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+    if (read.entries.length > IMPORT_MAX_PRODUCTS) {
+      return sendError(res, 400, `Import at most ${IMPORT_MAX_PRODUCTS} products at a time`, { code: 'INVALID_IMPORT' });
     }
-    
-    res.json(order);
+
+    const { plans, errors } = await planCatalogImport(read.entries, mode);
+
+    const applied = [];
+    for (const plan of plans) {
+      if (dryRun || !plan.apply) {
+        applied.push(plan);
+        continue;
+      }
+      try {
+        await plan.apply(req.user.userId);
+        applied.push(plan);
+      } catch (applyErr) {
+        if (applyErr.code === 11000) {
+          errors.push({ rows: plan.rows, sku: plan.sku, field: 'sku', message: 'SKU is already in use' });
+        } else if (applyErr instanceof mongoose.Error.ValidationError) {
+          Object.values(applyErr.errors).forEach(error => errors.push({ rows: plan.rows, sku: plan.sku, field: error.path, message: error.message }));
+        } else {
+          throw applyErr;
+        }
+      }
+    }
+
+    const count = (action) => applied.filter(plan => plan.action === action).length;
+    res.json({
+      dryRun,
+      mode,
+      summary: {
+        products: read.entries.length,
+        created: count('create'),
+        updated: count('update'),
+        unchanged: count('unchanged'),
+        failed: read.entries.length - applied.length
+      },
+      changes: applied
+        .filter(plan => plan.action !== 'unchanged')
+        .map(({ rows, sku, action, changes }) => ({ rows, sku, action, changes })),
+      errors: errors.sort((a, b) => a.rows[0] - b.rows[0])
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// Delete product (admin only)
-app.delete('/api/admin/products/:id', authenticateToken, async (req, res) => {
+const sendCsv = (res, filename) => {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+};
+
+// Export the whole catalog as CSV in the import format (admin only)
+app.get('/api/admin/catalog/export', authenticateToken, authorizeRoles('admin'), async (req, res, next) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
-    
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
+    const products = await Product.find().sort({ _id: 1 });
+
+    const keysOf = (attributeSets) => [...new Set(attributeSets.flatMap(attributes => Object.keys(attributes || {})))].sort();
+    const attrKeys = keysOf(products.map(product => product.attributes));
+    const variantAttrKeys = keysOf(products.flatMap(product => product.variants.map(variant => variant.attributes)));
+
+    let csv = csvLine([
+      ...PRODUCT_CSV_COLUMNS,
+      ...attrKeys.map(key => `attr.${key}`),
+      ...variantAttrKeys.map(key => `variantAttr.${key}`)
+    ]);
+    for (const product of products) {
+      const attributes = product.attributes || {};
+      const row = (variant) => [
+        product.sku, product.name, product.description, product.category,
+        variant ? undefined : product.price, variant ? undefined : product.stock,
+        product.lowStockThreshold, product.deliveryTime, product.leadTimeDays, product.img,
+        ...(variant ? [variant.sku, variant.price, variant.stock, variant.img] : [undefined, undefined, undefined, undefined]),
+        ...attrKeys.map(key => attributes[key]),
+        ...variantAttrKeys.map(key => (variant && variant.attributes ? variant.attributes[key] : undefined))
+      ];
+      if (product.variants.length === 0) {
+        csv += csvLine(row(null));
+      } else {
+        product.variants.forEach(variant => {
+          csv += csvLine(row(variant));
+        });
+      }
     }
-    
-    res.json({ message: 'Product deleted successfully' });
+
+    sendCsv(res, `catalog-${localDate(new Date())}.csv`);
+    res.send(csv);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// Delete blog post (admin only)
-app.delete('/api/admin/blog/:id', authenticateToken, async (req, res) => {
+const ORDER_CSV_COLUMNS = [
+  'orderId', 'date', 'status', 'userId', 'paymentMethod', 'city', 'zipCode', 'storeId',
+  'subtotal', 'deliveryFee', 'discount', 'coupon', 'total', 'refundedTotal',
+  'productId', 'sku', 'name', 'category', 'price', 'quantity', 'lineTotal'
+];
+
+// Export orders placed in a date range as CSV, one row per order line
+// (admin only). Same range parameters as analytics, optionally ?status=.
+app.get('/api/admin/orders/export', authenticateToken, authorizeRoles('admin'), validate({ query: analyticsQuery.extend({ status: csvList.optional() }) }), async (req, res, next) => {
   try {
-    const blogPost = await BlogPost.findByIdAndDelete(req.params.id);
-    
-    if (!blogPost) {
-      return res.status(404).json({ error: 'Blog post not found' });
+    const range = analyticsRange(req.query);
+    const filter = ordersPlacedIn(range);
+    if (req.query.status) {
+      filter.status = { $in: req.query.status };
     }
-    
-    res.json({ message: 'Blog post deleted successfully' });
+
+    sendCsv(res, `orders-${range.from}-to-${range.to}.csv`);
+    res.write(csvLine(ORDER_CSV_COLUMNS));
+    for await (const order of Order.find(filter).sort({ date: 1 }).cursor()) {
+      const address = order.shippingAddress || {};
+      const orderCells = [
+        order.id, order.date, order.status, order.userId, order.paymentMethod, address.city, address.zipCode, order.storeId,
+        order.subtotal, order.deliveryFee, order.discount, order.coupon && order.coupon.code, order.total, order.refundedTotal
+      ];
+      res.write(order.items.map(item => csvLine([
+        ...orderCells,
+        item.productId, item.sku, item.name, item.category, item.price, item.quantity, item.lineTotal
+      ])).join(''));
+    }
+    res.end();
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    // Headers are gone once rows are streaming: cut the connection so the
+    // download fails instead of ending like a complete file
+    if (res.headersSent) {
+      console.error(err);
+      return res.destroy(err);
+    }
+    next(err);
   }
 });
 
 // ========== SEED ROUTES ==========
 // Seed products
-app.post('/api/seed/products', async (req, res) => {
+app.post('/api/seed/products', authenticateToken, authorizeRoles('admin'), async (req, res, next) => {
   try {
     const products = [
       // ========== 7m DELIVERY PRODUCTS ==========
@@ -507,7 +6836,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/Emergency Phone Charger.webp",
         rating: 4.5,
         reviews: 120,
-        deliveryTime: "7m"
+        deliveryTime: "7m",
+        stock: 100
       },
       {
         name: "Instant Snack Pack",
@@ -517,7 +6847,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/Instant Snack Pack.jpg",
         rating: 4.2,
         reviews: 85,
-        deliveryTime: "7m"
+        deliveryTime: "7m",
+        stock: 100
       },
       {
         name: "Express Coffee Pack",
@@ -527,7 +6858,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/Express Coffee Pack.jpg",
         rating: 4.7,
         reviews: 200,
-        deliveryTime: "7m"
+        deliveryTime: "7m",
+        stock: 100
       },
       {
         name: "First Aid Kit",
@@ -537,7 +6869,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/First Aid Kit.jpg",
         rating: 4.8,
         reviews: 150,
-        deliveryTime: "7m"
+        deliveryTime: "7m",
+        stock: 100
       },
       {
         name: "Emergency Medicines Kit",
@@ -547,7 +6880,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/Emergency Medicines Kit.avif",
         rating: 4.9,
         reviews: 300,
-        deliveryTime: "7m"
+        deliveryTime: "7m",
+        stock: 100
       },
       {
         name: "Quick Meal Box",
@@ -557,7 +6891,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/Quick Meal Box.webp",
         rating: 4.3,
         reviews: 180,
-        deliveryTime: "7m"
+        deliveryTime: "7m",
+        stock: 100
       },
       {
         name: "Emergency Water Bottles",
@@ -567,7 +6902,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/Emergency Water Bottles.jpg",
         rating: 4.6,
         reviews: 220,
-        deliveryTime: "7m"
+        deliveryTime: "7m",
+        stock: 100
       },
       {
         name: "Phone Screen Protector",
@@ -577,7 +6913,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/Phone Screen Protector.jpg",
         rating: 4.4,
         reviews: 160,
-        deliveryTime: "7m"
+        deliveryTime: "7m",
+        stock: 100
       },
 
       // ========== REGULAR PRODUCTS (from your products.js) ==========
@@ -589,7 +6926,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/s22.jpg",
         rating: 5,
         reviews: 725,
-        deliveryTime: "2-3 days"
+        deliveryTime: "2-3 days",
+        stock: 30
       },
       {
         name: "Samsung Watch 5 Pro LTE",
@@ -599,7 +6937,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/Samsung Watch.jpg",
         rating: 5,
         reviews: 75,
-        deliveryTime: "2-3 days"
+        deliveryTime: "2-3 days",
+        stock: 30
       },
       {
         name: "Samsung Galaxy S24 Ultra 5G (256 GB)",
@@ -609,17 +6948,25 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/s24.jpg",
         rating: 4.9,
         reviews: 950,
-        deliveryTime: "2-3 days"
+        deliveryTime: "2-3 days",
+        stock: 25
       },
       {
-        name: "iPhone 16 Pro Max (256 GB)",
+        name: "iPhone 16 Pro Max",
         price: 149990,
         description: "48MP + 12MP + 12MP | A18 Pro | 6.9\" LTPO OLED",
         category: "Mobiles",
         img: "img/16pro.webp",
         rating: 5,
         reviews: 1100,
-        deliveryTime: "2-3 days"
+        deliveryTime: "2-3 days",
+        stock: 25,
+        attributes: { brand: "Apple" },
+        variants: [
+          { sku: "IP16PM-256", attributes: { storage_gb: 256 }, price: 149990, stock: 12 },
+          { sku: "IP16PM-512", attributes: { storage_gb: 512 }, price: 169990, stock: 8 },
+          { sku: "IP16PM-1TB", attributes: { storage_gb: 1024 }, price: 189990, stock: 5 }
+        ]
       },
       {
         name: "Xiaomi 14 CIVI (12/512)",
@@ -629,7 +6976,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/Xiaomi14Civi.jpg",
         rating: 5,
         reviews: 127,
-        deliveryTime: "2-3 days"
+        deliveryTime: "2-3 days",
+        stock: 25
       },
       {
         name: "OnePlus 11R 5G (16/256)",
@@ -639,7 +6987,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/11-R.jpg",
         rating: 5,
         reviews: 122,
-        deliveryTime: "2-3 days"
+        deliveryTime: "2-3 days",
+        stock: 25
       },
       {
         name: "Google Pixel 7a (8/128)",
@@ -649,7 +6998,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/google-pixel-7a.jpg",
         rating: 5,
         reviews: 201,
-        deliveryTime: "2-3 days"
+        deliveryTime: "2-3 days",
+        stock: 25
       },
       {
         name: "MacBook Pro (M3 Pro, 14\")",
@@ -659,7 +7009,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/macbook-pro.jpg",
         rating: 5,
         reviews: 7,
-        deliveryTime: "3-4 days"
+        deliveryTime: "3-4 days",
+        stock: 15
       },
       {
         name: "Samsung Galaxy Book3 i5 (16\")",
@@ -669,7 +7020,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/book3.jpg",
         rating: 5,
         reviews: 123,
-        deliveryTime: "3-4 days"
+        deliveryTime: "3-4 days",
+        stock: 15
       },
       {
         name: "Dell XPS 13 (9340)",
@@ -679,7 +7031,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/xps13.jpg",
         rating: 4,
         reviews: 89,
-        deliveryTime: "3-4 days"
+        deliveryTime: "3-4 days",
+        stock: 15
       },
       {
         name: "HP Envy x360 2-in-1",
@@ -689,7 +7042,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/envy-x360.jpg",
         rating: 4,
         reviews: 67,
-        deliveryTime: "3-4 days"
+        deliveryTime: "3-4 days",
+        stock: 15
       },
       {
         name: "Lenovo Slim 7 Pro X",
@@ -699,7 +7053,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/lenovo-slim7.jpg",
         rating: 5,
         reviews: 145,
-        deliveryTime: "3-4 days"
+        deliveryTime: "3-4 days",
+        stock: 15
       },
       {
         name: "ASUS Zenbook 14 OLED",
@@ -709,7 +7064,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/zenbook14.jpg",
         rating: 4,
         reviews: 200,
-        deliveryTime: "3-4 days"
+        deliveryTime: "3-4 days",
+        stock: 15
       },
       {
         name: "MSI Cyborg 15 (RTX 4060)",
@@ -719,7 +7075,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/cyborg15.jpg",
         rating: 4,
         reviews: 74,
-        deliveryTime: "3-4 days"
+        deliveryTime: "3-4 days",
+        stock: 15
       },
       {
         name: "Acer Swift Go 14",
@@ -729,7 +7086,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/swiftgo14.jpg",
         rating: 4,
         reviews: 52,
-        deliveryTime: "3-4 days"
+        deliveryTime: "3-4 days",
+        stock: 15
       },
       {
         name: "Unitree Go2 Robot Dog Quadruped Robotics",
@@ -739,7 +7097,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/dog.jpg",
         rating: 4.8,
         reviews: 312,
-        deliveryTime: "5-7 days"
+        deliveryTime: "5-7 days",
+        stock: 2
       },
       {
         name: "Logitech K480 Multidevice Bluetooth Tablet Keyboard",
@@ -749,7 +7108,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/keybord.jpg",
         rating: 4.5,
         reviews: 1485,
-        deliveryTime: "2-3 days"
+        deliveryTime: "2-3 days",
+        stock: 30
       },
       {
         name: "iPhone 15 Pro Max (256 GB)",
@@ -759,7 +7119,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/iPhone_15.jpg",
         rating: 5,
         reviews: 1235,
-        deliveryTime: "2-3 days"
+        deliveryTime: "2-3 days",
+        stock: 30
       },
       {
         name: "Sony FX6 Cinema Line Full-Frame Digital Zoom Camera",
@@ -769,7 +7130,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/cam.jpg",
         rating: 4.9,
         reviews: 274,
-        deliveryTime: "5-7 days"
+        deliveryTime: "5-7 days",
+        stock: 3
       },
       {
         name: "Spigen 10000 mAh MagSafe",
@@ -779,7 +7141,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/Spigen.jpg",
         rating: 5,
         reviews: 764,
-        deliveryTime: "2-3 days"
+        deliveryTime: "2-3 days",
+        stock: 30
       },
       {
         name: "Samsung Galaxy Buds 3 (Silver)",
@@ -789,7 +7152,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/buds.avif",
         rating: 4,
         reviews: 451,
-        deliveryTime: "2-3 days"
+        deliveryTime: "2-3 days",
+        stock: 30
       },
       {
         name: "DJI Avata 2 Fly More Combo",
@@ -799,7 +7163,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/dji.jpg",
         rating: 5,
         reviews: 734,
-        deliveryTime: "3-4 days"
+        deliveryTime: "3-4 days",
+        stock: 30
       },
       {
         name: "Meta Quest 3 (512GB)",
@@ -809,7 +7174,8 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/meta.jpg",
         rating: 4,
         reviews: 787,
-        deliveryTime: "3-4 days"
+        deliveryTime: "3-4 days",
+        stock: 30
       },
       {
         name: "Apple AirPods Max (Sky Blue)",
@@ -819,25 +7185,84 @@ app.post('/api/seed/products', async (req, res) => {
         img: "img/Airpods.webp",
         rating: 5,
         reviews: 70,
-        deliveryTime: "2-3 days"
+        deliveryTime: "2-3 days",
+        stock: 30
       }
 
     ];
     
     await Product.deleteMany({});
-    await Product.insertMany(products);
+    await Product.insertMany(products.map(fields => {
+      const product = new Product({ ...fields, attributes: { ...parseSpecAttributes(fields), ...fields.attributes } });
+      product.sku = defaultSku(product.id);
+      return product;
+    }));
     
     res.json({ 
       message: 'Products seeded successfully', 
       count: products.length
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+// Seed categories (upserts, so existing products keep their category)
+app.post('/api/seed/categories', authenticateToken, authorizeRoles('admin'), async (req, res, next) => {
+  try {
+    const categories = [
+      { slug: '7m', name: '7-Minute Delivery', description: 'Essentials delivered in 7 minutes' },
+      { slug: 'new', name: 'New Arrivals', description: 'The latest products on Ncart' },
+      { slug: 'Mobiles', name: 'Mobiles', description: 'Smartphones from top brands' },
+      { slug: 'Laptops', name: 'Laptops', description: 'Laptops for work, study and gaming' },
+      { slug: 'Gadgets', name: 'Gadgets', description: 'Wearables, accessories and more' }
+    ];
+
+    await Category.bulkWrite(categories.map(category => ({
+      updateOne: { filter: { slug: category.slug }, update: { $set: category }, upsert: true }
+    })));
+
+    res.json({
+      message: 'Categories seeded successfully',
+      count: categories.length
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Seed a demo dark store stocked with every 7m product (run after seeding products)
+app.post('/api/seed/stores', authenticateToken, authorizeRoles('admin'), async (req, res, next) => {
+  try {
+    const store = await Store.findOneAndUpdate(
+      { code: 'BLR-KORAMANGALA' },
+      {
+        $set: {
+          name: 'Koramangala Dark Store',
+          pincodes: ['560034', '560047', '560095', '560068'],
+          deliveryMinutes: 7,
+          active: true
+        }
+      },
+      { new: true, upsert: true }
+    );
+
+    const products = await Product.find(SAVED_PRODUCT_FILTERS['7m'], { _id: 1 });
+    await StoreStock.deleteMany({ storeId: store.id });
+    await StoreStock.insertMany(products.map(product => ({ storeId: store.id, productId: product.id, quantity: 50 })));
+
+    res.json({
+      message: 'Stores seeded successfully',
+      count: 1,
+      stockedProducts: products.length
+    });
+  } catch (err) {
+    next(err);
   }
 });
 
 // Seed blog posts
-app.post('/api/seed/blog', async (req, res) => {
+app.post('/api/seed/blog', authenticateToken, authorizeRoles('admin'), async (req, res, next) => {
   try {
     const blogPosts = [
     
@@ -898,15 +7323,27 @@ app.post('/api/seed/blog', async (req, res) => {
       }
     ];
 
+    // Each post features the best rated products of its category (seed products first)
+    const featured = await Promise.all(blogPosts.map(post => {
+      return Product.find({ category: post.category }, { _id: 1 }).sort({ rating: -1 }).limit(5);
+    }));
+
     await BlogPost.deleteMany({});
-    await BlogPost.insertMany(blogPosts);
+    await BlogPost.insertMany(blogPosts.map(({ author, date, ...post }, index) => ({
+      ...post,
+      slug: slugify(post.title),
+      authorName: author,
+      productIds: featured[index].map(product => product.id),
+      status: 'published',
+      publishedAt: new Date(date)
+    })));
     
     res.json({ 
       message: 'Blog posts seeded successfully', 
       count: blogPosts.length
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -919,8 +7356,54 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Start server
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`Backend running on http://localhost:${PORT}`);
+// Unknown routes
+app.use((req, res) => {
+  sendError(res, 404, `Route not found: ${req.method} ${req.path}`);
+});
+
+// Central error handler - known errors map to 4xx, anything else is logged
+// and returned as a generic 500 so internals do not leak to clients
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Malformed JSON body', { code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'Request body too large');
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(err.errors).map(error => ({ location: 'body', field: error.path, message: error.message }));
+    return sendError(res, 400, 'Request validation failed', { code: 'VALIDATION_ERROR', details });
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return sendError(res, 400, `Invalid value for ${err.path}`, { code: 'INVALID_ID' });
+  }
+  if (err.code === 11000) {
+    return sendError(res, 409, 'A record with this value already exists', { code: 'DUPLICATE' });
+  }
+
+  console.error(err);
+  sendError(res, 500, 'Something went wrong');
 });
+
+// Start server
+if (require.main === module) {
+  const PORT = process.env.PORT || 5000;
+  app.listen(PORT, () => {
+    console.log(`Backend running on http://localhost:${PORT}`);
+  });
+
+  setInterval(() => {
+    expireUnpaidOrders().catch(err => console.error('Unpaid order expiry error:', err));
+  }, 60 * 1000);
+}
+
+// Used by the tests in test/
+module.exports = {
+  app,
+  paymentProviders,
+  verifySignature,
+  expireUnpaidOrders,
+  parseCsv,
+  reserveStock,
+  redeemCoupon
+};
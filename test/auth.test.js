@@ -0,0 +1,190 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { model, startServer, signIn, newId } = require('./setup');
+
+let server;
+let baseUrl;
+before(async () => {
+  ({ server, baseUrl } = await startServer());
+});
+after(() => server.close());
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Whether a stored document matches a query: plain values, null for unset, and $gt
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => {
+  if (value === null) return doc[key] == null;
+  if (value instanceof Object && '$gt' in value) return doc[key] > value.$gt;
+  return String(doc[key]) === String(value);
+});
+
+// Token collection in memory, enough for the queries the auth routes make
+const mockTokens = (t, name, docs) => {
+  const Model = model(name);
+  const update = (doc, changes) => Object.assign(doc, changes);
+  t.mock.method(Model, 'create', async (fields) => {
+    const doc = { _id: newId(), revokedAt: null, ...fields };
+    docs.push(doc);
+    return doc;
+  });
+  t.mock.method(Model, 'findOne', async (filter) => docs.find(doc => matches(doc, filter)) || null);
+  t.mock.method(Model, 'findOneAndUpdate', async (filter, changes) => {
+    const doc = docs.find(doc => matches(doc, filter));
+    return doc ? update(doc, changes) : null;
+  });
+  t.mock.method(Model, 'updateOne', async (filter, changes) => {
+    const doc = docs.find(doc => matches(doc, filter));
+    if (doc) update(doc, changes);
+  });
+  t.mock.method(Model, 'updateMany', async (filter, changes) => {
+    docs.filter(doc => matches(doc, filter)).forEach(doc => update(doc, changes));
+  });
+  t.mock.method(Model, 'deleteMany', async () => {});
+  return docs;
+};
+
+const post = async (path, body, token) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const response = await fetch(`${baseUrl}${path}`, { method: 'POST', headers, body: JSON.stringify(body || {}) });
+  return { status: response.status, body: await response.json() };
+};
+
+// A user signed in on one device: the refresh token in plain text and its stored record
+const signedInDevice = (t) => {
+  const user = { _id: newId(), email: 'ana@example.com', role: 'customer', tokenVersion: 0 };
+  t.mock.method(model('User'), 'findById', async () => user);
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const tokens = mockTokens(t, 'RefreshToken', [{
+    _id: newId(),
+    userId: user._id,
+    tokenHash: hash(refreshToken),
+    family: 'family-1',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    revokedAt: null
+  }]);
+  return { user, refreshToken, tokens };
+};
+
+test('refresh rotates the token within its family and revokes the old one', async (t) => {
+  const { refreshToken, tokens } = signedInDevice(t);
+
+  const { status, body } = await post('/api/token/refresh', { refreshToken });
+
+  assert.equal(status, 200);
+  assert.ok(body.token);
+  assert.notEqual(body.refreshToken, refreshToken);
+  const [old, rotated] = tokens;
+  assert.ok(old.revokedAt instanceof Date);
+  assert.equal(old.replacedBy, hash(body.refreshToken));
+  assert.equal(rotated.tokenHash, hash(body.refreshToken));
+  assert.equal(rotated.family, old.family);
+  assert.equal(rotated.revokedAt, null);
+});
+
+test('reusing a rotated refresh token revokes every token in its family', async (t) => {
+  const { refreshToken, tokens } = signedInDevice(t);
+  const first = await post('/api/token/refresh', { refreshToken });
+  // Another device of the same user is left alone
+  tokens.push({ _id: newId(), tokenHash: hash('other-device'), family: 'family-2', revokedAt: null });
+
+  const replay = await post('/api/token/refresh', { refreshToken });
+
+  assert.equal(replay.status, 401);
+  assert.equal(replay.body.code, 'INVALID_REFRESH_TOKEN');
+  const current = tokens.find(doc => doc.tokenHash === hash(first.body.refreshToken));
+  assert.ok(current.revokedAt instanceof Date);
+  assert.equal(tokens.find(doc => doc.family === 'family-2').revokedAt, null);
+  const refused = await post('/api/token/refresh', { refreshToken: first.body.refreshToken });
+  assert.equal(refused.status, 401);
+});
+
+test('an expired refresh token is refused', async (t) => {
+  const { refreshToken, tokens } = signedInDevice(t);
+  tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+  const { status, body } = await post('/api/token/refresh', { refreshToken });
+
+  assert.equal(status, 401);
+  assert.equal(body.code, 'INVALID_REFRESH_TOKEN');
+  assert.equal(tokens.length, 1);
+});
+
+test('logout from all devices revokes refresh tokens and old access tokens', async (t) => {
+  const { userId, token } = signIn(t, 'customer');
+  const user = { role: 'customer', tokenVersion: 0 };
+  t.mock.method(model('User'), 'findById', () => ({ select: async () => user }));
+  t.mock.method(model('User'), 'updateOne', async (filter, changes) => {
+    user.tokenVersion += changes.$inc.tokenVersion;
+  });
+  const tokens = mockTokens(t, 'RefreshToken', [
+    { _id: newId(), userId, tokenHash: hash('phone'), family: 'family-1', revokedAt: null },
+    { _id: newId(), userId, tokenHash: hash('laptop'), family: 'family-2', revokedAt: null }
+  ]);
+
+  const { status } = await post('/api/logout-all', {}, token);
+
+  assert.equal(status, 200);
+  assert.ok(tokens.every(doc => doc.revokedAt instanceof Date));
+  const again = await post('/api/logout-all', {}, token);
+  assert.equal(again.status, 403);
+  assert.equal(again.body.code, 'INVALID_TOKEN');
+});
+
+// Request a reset link for a known user and return the token the email carries
+const requestReset = async (t, tokens) => {
+  const user = { _id: newId(), email: 'ana@example.com', firstName: 'Ana' };
+  t.mock.method(model('User'), 'findOne', async () => user);
+  t.mock.method(model('User'), 'findByIdAndUpdate', async () => user);
+  t.mock.method(model('User'), 'updateOne', async () => {});
+  // No one to notify about the password change
+  t.mock.method(model('User'), 'findById', async () => null);
+  mockTokens(t, 'RefreshToken', []);
+  mockTokens(t, 'UserToken', tokens);
+  const log = t.mock.method(console, 'log', () => {});
+
+  await post('/api/password/forgot', { email: user.email });
+
+  const [, token] = log.mock.calls[0].arguments[0].match(/reset-password\?token=(\w+)/);
+  return token;
+};
+
+const reset = (token) => post('/api/password/reset', { token, newPassword: 'N3w-password!' });
+
+test('a reset token is stored hashed and works only once', async (t) => {
+  const tokens = [];
+  const token = await requestReset(t, tokens);
+
+  assert.equal(tokens[0].tokenHash, hash(token));
+  assert.ok(!JSON.stringify(tokens).includes(token));
+  const first = await reset(token);
+  const second = await reset(token);
+
+  assert.equal(first.status, 200);
+  assert.ok(tokens[0].usedAt instanceof Date);
+  assert.equal(second.status, 400);
+  assert.equal(second.body.code, 'INVALID_TOKEN');
+});
+
+test('an expired reset token is refused', async (t) => {
+  const tokens = [];
+  const token = await requestReset(t, tokens);
+  tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+  const { status, body } = await reset(token);
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'INVALID_TOKEN');
+  assert.equal(tokens[0].usedAt, undefined);
+});
+
+test('a reset token cannot be used to verify an email', async (t) => {
+  const tokens = [];
+  const token = await requestReset(t, tokens);
+
+  const { status } = await post('/api/email/verify', { token });
+
+  assert.equal(status, 400);
+  assert.equal(tokens[0].usedAt, undefined);
+});
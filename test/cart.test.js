@@ -0,0 +1,54 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { model, startServer, signIn, newId } = require('./setup');
+
+let server;
+let baseUrl;
+before(async () => {
+  ({ server, baseUrl } = await startServer());
+});
+after(() => server.close());
+
+// Cart.findOne answering with a one-line guest cart, recording what it was asked for
+const mockGuestCart = (t) => {
+  const guestCart = { guestId: 'guest-1', items: [{ productId: newId(), quantity: 2 }] };
+  t.mock.method(model('Product'), 'find', async () => []);
+  return t.mock.method(model('Cart'), 'findOne', async (filter) => (filter.guestId === guestCart.guestId ? guestCart : null));
+};
+
+const getCart = (token) => fetch(`${baseUrl}/api/cart`, {
+  headers: { 'X-Cart-Id': 'guest-1', Authorization: `Bearer ${token}` }
+});
+
+test('cart falls back to the guest cart when the access token has expired', async (t) => {
+  const findOne = mockGuestCart(t);
+  const expired = jwt.sign({ userId: newId(), tokenVersion: 0, exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+
+  const response = await getCart(expired);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { guestId: 'guest-1' });
+});
+
+test('cart falls back to the guest cart when the token was revoked', async (t) => {
+  const findOne = mockGuestCart(t);
+  const { token } = signIn(t, 'customer');
+  // Logging out everywhere bumps tokenVersion past the token's
+  t.mock.method(model('User'), 'findById', () => ({ select: async () => ({ role: 'customer', tokenVersion: 1 }) }));
+
+  const response = await getCart(token);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { guestId: 'guest-1' });
+});
+
+test('cart uses the user cart for a valid token', async (t) => {
+  const findOne = mockGuestCart(t);
+  const { userId, token } = signIn(t, 'customer');
+
+  const response = await getCart(token);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { userId });
+});
@@ -0,0 +1,133 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { redeemCoupon, model, startServer, signIn, duplicateKeyError, newId } = require('./setup');
+
+let server;
+let baseUrl;
+before(async () => {
+  ({ server, baseUrl } = await startServer());
+});
+after(() => server.close());
+
+const coupon = (limits) => ({ _id: newId(), code: 'SAVE10', ...limits });
+
+// Redemptions already held by the user, and a Coupon update that succeeds
+const mockRedemptions = (t, heldSlots) => {
+  t.mock.method(model('CouponRedemption'), 'find', async () => heldSlots.map(slot => ({ slot })));
+  return {
+    created: t.mock.method(model('CouponRedemption'), 'create', async (redemption) => ({ _id: newId(), ...redemption })),
+    removed: t.mock.method(model('CouponRedemption'), 'deleteOne', async () => ({})),
+    counted: t.mock.method(model('Coupon'), 'findOneAndUpdate', async () => ({}))
+  };
+};
+
+test('redeemCoupon takes the first free per-user slot', async (t) => {
+  const redemptions = mockRedemptions(t, [1, 3]);
+
+  const result = await redeemCoupon(coupon({ perUserLimit: 3 }), 'user1', 'ORD1', 50);
+
+  assert.deepEqual(result, {});
+  assert.equal(redemptions.created.mock.calls[0].arguments[0].slot, 2);
+  assert.equal(redemptions.counted.mock.callCount(), 1);
+});
+
+test('redeemCoupon refuses a user who has used up their slots', async (t) => {
+  const redemptions = mockRedemptions(t, [1, 2]);
+
+  const result = await redeemCoupon(coupon({ perUserLimit: 2 }), 'user1', 'ORD1', 50);
+
+  assert.equal(result.code, 'COUPON_EXHAUSTED');
+  assert.equal(redemptions.created.mock.callCount(), 0);
+  assert.equal(redemptions.counted.mock.callCount(), 0);
+});
+
+test('redeemCoupon refuses when a parallel checkout took the same slot', async (t) => {
+  const redemptions = mockRedemptions(t, []);
+  redemptions.created.mock.mockImplementation(async () => {
+    throw duplicateKeyError();
+  });
+
+  const result = await redeemCoupon(coupon({ perUserLimit: 1 }), 'user1', 'ORD1', 50);
+
+  assert.equal(result.code, 'COUPON_EXHAUSTED');
+  assert.equal(redemptions.counted.mock.callCount(), 0);
+});
+
+test('redeemCoupon gives the slot back when the usage limit is reached', async (t) => {
+  const redemptions = mockRedemptions(t, []);
+  redemptions.counted.mock.mockImplementation(async () => null);
+
+  const result = await redeemCoupon(coupon({ perUserLimit: 1, usageLimit: 100 }), 'user1', 'ORD1', 50);
+
+  assert.equal(result.code, 'COUPON_EXHAUSTED');
+  assert.deepEqual(redemptions.counted.mock.calls[0].arguments[0].usedCount, { $lt: 100 });
+  assert.equal(redemptions.removed.mock.callCount(), 1);
+});
+
+// A stored coupon for the update route, with saves recorded
+const mockStoredCoupon = (t, fields) => {
+  const Coupon = model('Coupon');
+  const stored = new Coupon({ code: 'SAVE10', ...fields });
+  t.mock.method(Coupon, 'findById', async () => stored);
+  return t.mock.method(Coupon.prototype, 'save', async function () {
+    return this;
+  });
+};
+
+const updateCoupon = async (t, body) => {
+  const { token } = signIn(t, 'admin');
+  const response = await fetch(`${baseUrl}/api/admin/coupons/${newId()}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('coupon update checks a new value against the stored percentage type', async (t) => {
+  const saved = mockStoredCoupon(t, { type: 'percentage', value: 10 });
+
+  const { status, body } = await updateCoupon(t, { value: 150 });
+
+  assert.equal(status, 400);
+  assert.deepEqual(body.details, [{ location: 'body', field: 'value', message: 'Percentage must be at most 100' }]);
+  assert.equal(saved.mock.callCount(), 0);
+});
+
+test('coupon update refuses an expiry before the stored start', async (t) => {
+  const saved = mockStoredCoupon(t, { type: 'flat', value: 50, startsAt: new Date('2026-06-01') });
+
+  const { status, body } = await updateCoupon(t, { expiresAt: '2026-05-01' });
+
+  assert.equal(status, 400);
+  assert.equal(body.details[0].field, 'expiresAt');
+  assert.equal(saved.mock.callCount(), 0);
+});
+
+test('coupon update saves changes that keep the coupon valid', async (t) => {
+  const saved = mockStoredCoupon(t, { type: 'percentage', value: 10, startsAt: new Date('2026-06-01') });
+
+  const { status, body } = await updateCoupon(t, { value: 20, expiresAt: '2026-07-01' });
+
+  assert.equal(status, 200);
+  assert.equal(body.value, 20);
+  assert.equal(saved.mock.callCount(), 1);
+});
+
+test('coupon create refuses an expiry before the start', async (t) => {
+  const { token } = signIn(t, 'admin');
+  const saved = t.mock.method(model('Coupon').prototype, 'save', async function () {
+    return this;
+  });
+
+  const response = await fetch(`${baseUrl}/api/admin/coupons`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ code: 'SUMMER', type: 'flat', value: 50, startsAt: '2026-06-01', expiresAt: '2026-05-01' })
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 400);
+  assert.equal(body.details[0].field, 'expiresAt');
+  assert.equal(saved.mock.callCount(), 0);
+});
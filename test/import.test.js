@@ -0,0 +1,125 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, model, startServer, signIn } = require('./setup');
+
+let server;
+let baseUrl;
+before(async () => {
+  ({ server, baseUrl } = await startServer());
+});
+after(() => server.close());
+
+test('parseCsv reads quoted cells, doubled quotes and line breaks inside quotes', () => {
+  const rows = parseCsv('sku,description\r\nA1,"Fast, light ""Pro"" model"\r\nA2,"two\r\nlines"\r\n');
+
+  assert.deepEqual(rows, [
+    ['sku', 'description'],
+    ['A1', 'Fast, light "Pro" model'],
+    ['A2', 'two\r\nlines']
+  ]);
+});
+
+test('parseCsv drops a byte order mark and takes LF line endings and a missing last newline', () => {
+  assert.deepEqual(parseCsv('\uFEFFsku,name\nA1,Phone'), [['sku', 'name'], ['A1', 'Phone']]);
+});
+
+// Existing products by sku, known categories, and saves that succeed
+const mockCatalog = (t, existing = []) => {
+  const Product = model('Product');
+  const products = existing.map(fields => new Product(fields));
+  t.mock.method(Product, 'find', async (filter) => (filter.sku ? products.filter(product => filter.sku.$in.includes(product.sku)) : []));
+  t.mock.method(model('Category'), 'find', async () => [{ slug: 'mobiles' }, { slug: 'laptops' }]);
+  const adjustments = [];
+  t.mock.method(model('StockAdjustment'), 'create', async (adjustment) => {
+    adjustments.push(adjustment);
+  });
+  return {
+    products,
+    adjustments,
+    saved: t.mock.method(Product.prototype, 'save', async function () {
+      return this;
+    })
+  };
+};
+
+const importCsv = async (t, csv, query = '') => {
+  const { token } = signIn(t, 'admin');
+  const form = new FormData();
+  form.append('file', new Blob([csv], { type: 'text/csv' }), 'products.csv');
+  const response = await fetch(`${baseUrl}/api/admin/catalog/import${query}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: form
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const existingPhone = { sku: 'PH-1', name: 'Phone', category: 'mobiles', price: 500, stock: 4 };
+
+test('import creates and updates products by sku and logs their stock', async (t) => {
+  const catalog = mockCatalog(t, [existingPhone]);
+
+  const { status, body } = await importCsv(t, [
+    'sku,name,category,price,stock',
+    'PH-1,,,,10',
+    'LP-1,Laptop,laptops,900,3'
+  ].join('\r\n'));
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.summary, { products: 2, created: 1, updated: 1, unchanged: 0, failed: 0 });
+  assert.equal(catalog.saved.mock.callCount(), 2);
+  assert.equal(catalog.products[0].stock, 10);
+  assert.deepEqual(catalog.adjustments.map(a => [a.change, a.stockAfter, a.reason]), [
+    [6, 10, 'Catalog import'],
+    [3, 3, 'Catalog import']
+  ]);
+});
+
+test('import dry run reports the changes without saving anything', async (t) => {
+  const catalog = mockCatalog(t, [existingPhone]);
+
+  const { body } = await importCsv(t, 'sku,price\r\nPH-1,450\r\n', '?dryRun=true');
+
+  assert.equal(body.dryRun, true);
+  assert.equal(body.summary.updated, 1);
+  assert.deepEqual(body.changes[0].changes.price, { from: 500, to: 450 });
+  assert.equal(catalog.saved.mock.callCount(), 0);
+  assert.equal(catalog.products[0].price, 500);
+  assert.equal(catalog.adjustments.length, 0);
+});
+
+test('import reports bad rows by spreadsheet row and still applies the good ones', async (t) => {
+  const catalog = mockCatalog(t, [existingPhone]);
+
+  const { body } = await importCsv(t, [
+    'sku,name,category,price',
+    'TV-1,Television,televisions,300',
+    ',Nameless,mobiles,10',
+    'LP-1,Laptop,laptops,900'
+  ].join('\r\n'));
+
+  assert.deepEqual(body.summary, { products: 3, created: 1, updated: 0, unchanged: 0, failed: 2 });
+  assert.deepEqual(body.errors.map(({ rows, field }) => [rows, field]), [
+    [[2], 'category'],
+    [[3], 'sku']
+  ]);
+  assert.equal(catalog.saved.mock.callCount(), 1);
+});
+
+test('import in insert mode refuses skus that already exist', async (t) => {
+  const catalog = mockCatalog(t, [existingPhone]);
+
+  const { body } = await importCsv(t, 'sku,price\r\nPH-1,450\r\n', '?mode=insert');
+
+  assert.equal(body.summary.failed, 1);
+  assert.deepEqual(body.errors[0], { rows: [2], sku: 'PH-1', field: 'sku', message: 'A product with this SKU already exists' });
+  assert.equal(catalog.saved.mock.callCount(), 0);
+});
+
+test('import takes off the quote that guards formula-like cells on export', async (t) => {
+  const catalog = mockCatalog(t, [existingPhone]);
+
+  await importCsv(t, 'sku,description\r\nPH-1,\'=SUM(A1)\r\n');
+
+  assert.equal(catalog.products[0].description, '=SUM(A1)');
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { reserveStock, model, newId } = require('./setup');
+
+// Products keyed by id with their stock, updated the way the $inc queries would
+const mockProductStock = (t, stockById) => {
+  t.mock.method(model('Product'), 'findOneAndUpdate', async (filter, update) => {
+    const stock = stockById.get(String(filter._id));
+    if (stock === undefined || stock < filter.stock.$gte) return null;
+    stockById.set(String(filter._id), stock + update.$inc.stock);
+    return { stock: stockById.get(String(filter._id)) };
+  });
+  t.mock.method(model('Product'), 'findByIdAndUpdate', async (id, update) => {
+    stockById.set(String(id), stockById.get(String(id)) + update.$inc.stock);
+    return { stock: stockById.get(String(id)) };
+  });
+  const adjustments = [];
+  t.mock.method(model('StockAdjustment'), 'create', async (adjustment) => {
+    adjustments.push(adjustment);
+  });
+  return adjustments;
+};
+
+test('reserveStock takes every item and logs each one', async (t) => {
+  const [phone, cover] = [newId(), newId()];
+  const stockById = new Map([[phone, 3], [cover, 10]]);
+  const adjustments = mockProductStock(t, stockById);
+
+  const result = await reserveStock([{ productId: phone, quantity: 2 }, { productId: cover, quantity: 1 }], 'ORD1');
+
+  assert.deepEqual(result, {});
+  assert.equal(stockById.get(phone), 1);
+  assert.equal(stockById.get(cover), 9);
+  assert.deepEqual(adjustments.map(a => [a.productId, a.change, a.stockAfter, a.reason]), [
+    [phone, -2, 1, 'order'],
+    [cover, -1, 9, 'order']
+  ]);
+});
+
+test('reserveStock puts back what it took when a later item is short', async (t) => {
+  const [phone, cover, charger] = [newId(), newId(), newId()];
+  const stockById = new Map([[phone, 3], [cover, 10], [charger, 0]]);
+  const adjustments = mockProductStock(t, stockById);
+
+  const result = await reserveStock([
+    { productId: phone, quantity: 2 },
+    { productId: cover, quantity: 1 },
+    { productId: charger, quantity: 1 }
+  ], 'ORD2');
+
+  assert.equal(result.code, 'OUT_OF_STOCK');
+  assert.deepEqual(result.productIds, [charger]);
+  assert.equal(stockById.get(phone), 3);
+  assert.equal(stockById.get(cover), 10);
+  assert.equal(stockById.get(charger), 0);
+  // The log nets out to nothing
+  assert.deepEqual(adjustments.map(a => [a.productId, a.change, a.reason]), [
+    [phone, -2, 'order'],
+    [cover, -1, 'order'],
+    [phone, 2, 'order rollback'],
+    [cover, 1, 'order rollback']
+  ]);
+});
@@ -0,0 +1,164 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { verifySignature, expireUnpaidOrders, paymentProviders, model, startServer, duplicateKeyError, newId } = require('./setup');
+
+const SECRET = process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+const sign = (body) => crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+
+let server;
+let baseUrl;
+before(async () => {
+  ({ server, baseUrl } = await startServer());
+});
+after(() => server.close());
+
+// POST a fake provider event, signed unless a signature is given
+const deliver = async (event, signature) => {
+  const body = JSON.stringify(event);
+  const response = await fetch(`${baseUrl}/api/payments/webhook/fake`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-fake-signature': signature || sign(body) },
+    body
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// A pending payment as Payment.findOne returns it, for an order in orderStatus
+const pendingPayment = (t, amount, orderStatus = 'Pending payment') => {
+  const order = { _id: newId(), id: 'ORD1', status: orderStatus, statusHistory: [] };
+  const payment = { provider: 'fake', providerPaymentId: `fake_pay_${newId()}`, amount, status: 'created', orderId: order._id };
+  payment.save = t.mock.fn(async () => payment);
+  t.mock.method(model('Payment'), 'findOne', async () => payment);
+  t.mock.method(model('Order'), 'findById', async () => order);
+  t.mock.method(model('User'), 'findById', async () => null);
+  return {
+    payment,
+    confirm: t.mock.method(model('Order'), 'findOneAndUpdate', async (filter, update) => ({ ...order, ...update.$set })),
+    providerRefund: t.mock.method(paymentProviders.fake, 'refund', async () => ({ providerRefundId: 'fake_refund_1' }))
+  };
+};
+
+// WebhookEvent.create backed by a set, failing on a repeated event id like the unique index does
+const recordEvents = (t) => {
+  const seen = new Set();
+  t.mock.method(model('WebhookEvent'), 'create', async ({ eventId }) => {
+    if (seen.has(eventId)) throw duplicateKeyError();
+    seen.add(eventId);
+  });
+  t.mock.method(model('WebhookEvent'), 'deleteOne', async ({ eventId }) => {
+    seen.delete(eventId);
+  });
+  return seen;
+};
+
+test('verifySignature accepts only an HMAC of the exact body', () => {
+  const body = Buffer.from('{"id":"evt_1"}');
+  assert.equal(verifySignature(body, sign(body), SECRET), true);
+  assert.equal(verifySignature(Buffer.from('{"id":"evt_2"}'), sign(body), SECRET), false);
+  assert.equal(verifySignature(body, sign(body).slice(1), SECRET), false);
+  assert.equal(verifySignature(body, undefined, SECRET), false);
+  assert.equal(verifySignature(body, sign(body), undefined), false);
+});
+
+test('webhook rejects a bad signature without recording the event', async (t) => {
+  const seen = recordEvents(t);
+
+  const { status, body } = await deliver({ id: 'evt_forged', type: 'payment.succeeded' }, 'not-a-signature');
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'INVALID_SIGNATURE');
+  assert.equal(seen.size, 0);
+});
+
+test('webhook marks the payment succeeded once, however often it is delivered', async (t) => {
+  recordEvents(t);
+  const { payment, confirm, providerRefund } = pendingPayment(t, 499);
+  const event = { id: 'evt_paid', type: 'payment.succeeded', paymentId: payment.providerPaymentId, amount: 499 };
+
+  const first = await deliver(event);
+  const second = await deliver(event);
+
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body, { received: true });
+  assert.equal(second.status, 200);
+  assert.deepEqual(second.body, { received: true, duplicate: true });
+  assert.equal(payment.status, 'succeeded');
+  assert.equal(payment.save.mock.callCount(), 1);
+  assert.equal(confirm.mock.calls[0].arguments[1].$set.status, 'Confirmed');
+  assert.equal(providerRefund.mock.callCount(), 0);
+});
+
+test('a payment landing on an order that was already cancelled is refunded', async (t) => {
+  recordEvents(t);
+  const { payment, confirm, providerRefund } = pendingPayment(t, 499, 'Cancelled');
+
+  await deliver({ id: 'evt_late', type: 'payment.succeeded', paymentId: payment.providerPaymentId, amount: 499 });
+
+  assert.equal(confirm.mock.callCount(), 0);
+  assert.equal(providerRefund.mock.calls[0].arguments[0].amount, 499);
+  assert.equal(payment.status, 'refunded');
+  assert.equal(payment.providerRefundId, 'fake_refund_1');
+});
+
+test('a late payment that cannot be refunded is left for an admin', async (t) => {
+  recordEvents(t);
+  const { payment, providerRefund } = pendingPayment(t, 499, 'Cancelled');
+  providerRefund.mock.mockImplementation(async () => {
+    throw new Error('provider down');
+  });
+  t.mock.method(console, 'error', () => {});
+
+  const { status } = await deliver({ id: 'evt_late', type: 'payment.succeeded', paymentId: payment.providerPaymentId, amount: 499 });
+
+  assert.equal(status, 200);
+  assert.equal(payment.status, 'needs_refund');
+});
+
+test('webhook fails the payment when the amount does not match', async (t) => {
+  recordEvents(t);
+  const { payment } = pendingPayment(t, 499);
+
+  await deliver({ id: 'evt_short', type: 'payment.succeeded', paymentId: payment.providerPaymentId, amount: 1 });
+
+  assert.equal(payment.status, 'failed');
+  assert.match(payment.failureReason, /Amount mismatch/);
+});
+
+test('webhook forgets an event it failed to apply, so the retry is processed', async (t) => {
+  const seen = recordEvents(t);
+  t.mock.method(model('Payment'), 'findOne', async () => {
+    throw new Error('database down');
+  });
+  t.mock.method(console, 'error', () => {});
+
+  const { status } = await deliver({ id: 'evt_retry', type: 'payment.succeeded', paymentId: 'fake_pay_x', amount: 1 });
+
+  assert.equal(status, 500);
+  assert.equal(seen.has('evt_retry'), false);
+});
+
+test('unpaid online orders past their deadline are cancelled and give back what they hold', async (t) => {
+  const order = { _id: newId(), id: 'ORD9', status: 'Pending payment', statusHistory: [], items: [] };
+  const find = t.mock.method(model('Order'), 'find', async () => [order]);
+  const updates = t.mock.method(model('Order'), 'findOneAndUpdate', async (filter) => {
+    if (filter.status) return { ...order, status: 'Cancelled', statusHistory: [] };
+    if (filter.stockReserved) return { ...order, stockReserved: false };
+    return null;
+  });
+  t.mock.method(model('CouponRedemption'), 'findOneAndUpdate', async () => null);
+  // No one to notify
+  t.mock.method(model('User'), 'findById', async () => null);
+  t.mock.method(console, 'log', () => {});
+
+  await expireUnpaidOrders();
+
+  const [filter] = find.mock.calls[0].arguments;
+  assert.equal(filter.status, 'Pending payment');
+  assert.ok(filter.$or[0].pendingUntil.$lte instanceof Date);
+  const [cancelFilter, cancelUpdate] = updates.mock.calls[0].arguments;
+  assert.deepEqual(cancelFilter, { _id: order._id, status: 'Pending payment' });
+  assert.equal(cancelUpdate.$set.status, 'Cancelled');
+  // The stock reservation is released in the same pass
+  assert.deepEqual(updates.mock.calls[1].arguments[0], { _id: order._id, stockReserved: true });
+});
@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { paymentProviders, model, startServer, signIn, newId } = require('./setup');
+
+let server;
+let baseUrl;
+before(async () => {
+  ({ server, baseUrl } = await startServer());
+});
+after(() => server.close());
+
+// A delivered order with a received return of one 400 unit, paid with the fake provider
+const mockRefundable = (t, { orderStatus = 'Delivered', payments } = {}) => {
+  const order = { _id: newId(), id: 'ORD1', total: 1000, refundedTotal: 0, status: orderStatus, paymentMethod: 'card', statusHistory: [] };
+  const returnRequest = { _id: newId(), orderId: order._id, status: 'received', items: [{ productId: newId(), price: 400, quantity: 1 }] };
+  t.mock.method(model('Order'), 'findById', async () => order);
+  t.mock.method(model('ReturnRequest'), 'findOne', async () => returnRequest);
+  t.mock.method(model('Payment'), 'find', async () => payments || [{ provider: 'fake', status: 'succeeded', providerChargeId: 'fake_pay_1' }]);
+  return {
+    order,
+    returnRequest,
+    claim: t.mock.method(model('ReturnRequest'), 'findOneAndUpdate', async () => returnRequest),
+    release: t.mock.method(model('ReturnRequest'), 'updateOne', async () => ({})),
+    reserve: t.mock.method(model('Order'), 'findOneAndUpdate', async () => order),
+    settle: t.mock.method(model('Order'), 'updateOne', async () => ({})),
+    providerRefund: t.mock.method(paymentProviders.fake, 'refund', async () => ({ providerRefundId: 'fake_refund_1' }))
+  };
+};
+
+const refund = async (t, refundable) => {
+  const { token } = signIn(t, 'admin');
+  const response = await fetch(`${baseUrl}/api/admin/orders/${refundable.order._id}/refunds`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ reason: 'Damaged', returnId: refundable.returnRequest._id })
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('refund claims the return, reserves the amount and refunds through the provider', async (t) => {
+  const refundable = mockRefundable(t);
+
+  const { status } = await refund(t, refundable);
+
+  assert.equal(status, 201);
+  const [claimFilter, claimUpdate] = refundable.claim.mock.calls[0].arguments;
+  assert.deepEqual(claimFilter, { _id: refundable.returnRequest._id, status: 'received' });
+  assert.equal(claimUpdate.$set.status, 'refunded');
+  assert.equal(refundable.reserve.mock.calls[0].arguments[1].$inc.refundedTotal, 400);
+  assert.equal(refundable.providerRefund.mock.callCount(), 1);
+  assert.equal(refundable.release.mock.callCount(), 0);
+});
+
+test('a second refund of the same return loses the claim and refunds nothing', async (t) => {
+  const refundable = mockRefundable(t);
+  refundable.claim.mock.mockImplementation(async () => null);
+
+  const { status, body } = await refund(t, refundable);
+
+  assert.equal(status, 409);
+  assert.equal(body.code, 'INVALID_TRANSITION');
+  assert.equal(refundable.reserve.mock.callCount(), 0);
+  assert.equal(refundable.providerRefund.mock.callCount(), 0);
+});
+
+test('a failed provider refund gives back the amount and the return claim', async (t) => {
+  const refundable = mockRefundable(t);
+  refundable.providerRefund.mock.mockImplementation(async () => {
+    throw new Error('provider down');
+  });
+  t.mock.method(console, 'error', () => {});
+
+  const { status } = await refund(t, refundable);
+
+  assert.equal(status, 500);
+  const [, settleUpdate] = refundable.settle.mock.calls[0].arguments;
+  assert.equal(settleUpdate.$set['refunds.$.status'], 'failed');
+  assert.equal(settleUpdate.$inc.refundedTotal, -400);
+  const [releaseFilter, releaseUpdate] = refundable.release.mock.calls[0].arguments;
+  assert.deepEqual(releaseFilter, { _id: refundable.returnRequest._id, status: 'refunded' });
+  assert.equal(releaseUpdate.$set.status, 'received');
+});
+
+test('refunds are refused on orders that were never paid', async (t) => {
+  const refundable = mockRefundable(t, { orderStatus: 'Pending payment', payments: [{ provider: 'fake', status: 'pending' }] });
+
+  const { status, body } = await refund(t, refundable);
+
+  assert.equal(status, 409);
+  assert.equal(body.code, 'NOT_PAID');
+  assert.equal(refundable.claim.mock.callCount(), 0);
+});
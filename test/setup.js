@@ -0,0 +1,38 @@
+// Loads the app without a database. Tests mock the model methods they touch;
+// any other query fails straight away instead of waiting for a connection.
+process.env.NODE_ENV = 'test';
+process.env.PAYMENT_PROVIDER = 'fake';
+process.env.FAKE_PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.MAIL_TRANSPORT = 'console';
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+mongoose.set('bufferCommands', false);
+
+const ncart = require('../app');
+
+const model = (name) => mongoose.model(name);
+
+// Start the app on a free port for the tests in a file
+const startServer = async () => {
+  const server = ncart.app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+};
+
+// Access token for a user with the given role. authenticateToken looks the
+// user up, so User.findById is mocked to return them.
+const signIn = (t, role) => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  t.mock.method(model('User'), 'findById', () => ({ select: async () => ({ role, tokenVersion: 0 }) }));
+  return { userId, token: jwt.sign({ userId, role, tokenVersion: 0 }, process.env.JWT_SECRET) };
+};
+
+// Error in the shape MongoDB gives for a unique index violation
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+const newId = () => new mongoose.Types.ObjectId().toString();
+
+module.exports = { ...ncart, model, startServer, signIn, duplicateKeyError, newId };
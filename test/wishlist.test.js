@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { model, startServer, signIn, newId } = require('./setup');
+
+let server;
+let baseUrl;
+before(async () => {
+  ({ server, baseUrl } = await startServer());
+});
+after(() => server.close());
+
+// A phone sold in two storage variants
+const phoneWithVariants = () => {
+  const Product = model('Product');
+  return new Product({
+    sku: 'IP16PM',
+    name: 'iPhone 16 Pro Max',
+    category: 'mobiles',
+    price: 1200,
+    variants: [
+      { sku: 'IP16PM-256', price: 1200, stock: 5, attributes: { storage_gb: 256 } },
+      { sku: 'IP16PM-512', price: 1400, stock: 5, attributes: { storage_gb: 512 } }
+    ]
+  });
+};
+
+// Saves on carts and wishlists, and the phone for every product lookup
+const mockStore = (t, phone) => {
+  t.mock.method(model('Product'), 'findById', async () => phone);
+  t.mock.method(model('Product'), 'find', async () => [phone]);
+  for (const name of ['Cart', 'Wishlist']) {
+    t.mock.method(model(name).prototype, 'save', async function () {
+      return this;
+    });
+  }
+};
+
+const post = async (path, token, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body || {})
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('save for later keeps the variant and quantity of the cart line', async (t) => {
+  const phone = phoneWithVariants();
+  const variant = phone.variants[1];
+  mockStore(t, phone);
+  const { userId, token } = signIn(t, 'customer');
+  const cart = new (model('Cart'))({ userId, items: [{ productId: phone.id, variantId: variant.id, quantity: 2 }] });
+  t.mock.method(model('Cart'), 'findOne', async () => cart);
+  t.mock.method(model('Wishlist'), 'findOne', async () => null);
+
+  const { status, body } = await post(`/api/cart/items/${phone.id}/save-for-later?variantId=${variant.id}`, token);
+
+  assert.equal(status, 200);
+  assert.equal(cart.items.length, 0);
+  const [line] = body.wishlist.items;
+  assert.equal(line.variantId, variant.id);
+  assert.equal(line.sku, 'IP16PM-512');
+  assert.equal(line.quantity, 2);
+  assert.equal(line.price, 1400);
+});
+
+test('move to cart puts back the saved variant and quantity', async (t) => {
+  const phone = phoneWithVariants();
+  const variant = phone.variants[1];
+  mockStore(t, phone);
+  const { userId, token } = signIn(t, 'customer');
+  const Wishlist = model('Wishlist');
+  const saved = new Wishlist({ userId, items: [{ productId: phone.id, variantId: variant.id, quantity: 2, priceWhenAdded: 1400 }] });
+  t.mock.method(Wishlist, 'findOne', async () => saved);
+  t.mock.method(Wishlist, 'findOneAndUpdate', async () => new Wishlist({ userId, items: [] }));
+  const cart = new (model('Cart'))({ userId, items: [] });
+  t.mock.method(model('Cart'), 'findOneAndUpdate', async () => cart);
+
+  const { status, body } = await post(`/api/wishlist/items/${phone.id}/move-to-cart`, token);
+
+  assert.equal(status, 200);
+  assert.equal(body.cart.items.length, 1);
+  assert.equal(body.cart.items[0].variantId, variant.id);
+  assert.equal(body.cart.items[0].quantity, 2);
+});